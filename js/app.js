@@ -10,6 +10,10 @@ class App {
         this.windowManager = window.windowManager;
         this.quotationManager = window.quotationManager;
         this.materialDB = window.materialDB;
+        this.rateBook = window.rateBook;
+        this.glassNesting = window.glassNesting;
+        this.materialImport = window.materialImport;
+        this.windowImport = window.windowImport;
         
         this.currentProduct = null;
         this.productIndex = {
@@ -30,6 +34,9 @@ class App {
         
         // Initialize material database first
         this.materialDB.init();
+        this.rateBook.init();
+        this.glassNesting.init();
+        this.materialImport.init();
         
         // Initialize quotation manager
         this.quotationManager.init();
@@ -38,6 +45,7 @@ class App {
         this.grillManager.init(this.quotationManager);
         this.pergolaManager.init(this.quotationManager);
         this.windowManager.init(this.quotationManager);
+        this.windowImport.init();
         
         // Set up event listeners
         this.setupEventListeners();
@@ -209,7 +217,8 @@ class App {
                 gstRate: this.quotationManager.gstRate,
                 gst: this.quotationManager.gst,
                 total: this.quotationManager.total,
-                additionalNotes: this.quotationManager.additionalNotes
+                additionalNotes: this.quotationManager.additionalNotes,
+                quotationDate: this.quotationManager.quotationDate
             },
             currentProduct: this.currentProduct
         };
@@ -240,6 +249,7 @@ class App {
             this.quotationManager.gst = state.quotation.gst;
             this.quotationManager.total = state.quotation.total;
             this.quotationManager.additionalNotes = state.quotation.additionalNotes;
+            this.quotationManager.quotationDate = state.quotation.quotationDate || null;
             
             // Update UI
             document.getElementById('discountRate').value = this.quotationManager.discountRate;
@@ -0,0 +1,235 @@
+/**
+ * Charges Module
+ * Labour and finishing charges of the grill and pergola calculators, priced per kg of steel,
+ * per sq.ft of surface or as a lump sum
+ */
+
+// Display unit of each charge basis
+const CHARGE_UNITS = { kg: 'kg', sqft: 'sq.ft', lumpsum: 'lot' };
+
+class ChargeCalculator {
+    /**
+     * Set up the charge form of a product. The product keeps its charges in `charges` and
+     * `chargesTotalAmount`, and the charges follow its `totalWeight` and `requirements`.
+     * @param {string} prefix - ID prefix of the product's charge elements ('grill' or 'pergola')
+     * @param {Object} product - The product manager
+     */
+    bindForm(prefix, product) {
+        document.getElementById(`${prefix}ChargeForm`).addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addCharge(prefix, product);
+        });
+        
+        // Charge calculation preview
+        document.getElementById(`${prefix}ChargeBasis`).addEventListener('change', () => {
+            this.updatePreview(prefix, product);
+        });
+        document.getElementById(`${prefix}ChargeRate`).addEventListener('input', () => {
+            this.updatePreview(prefix, product);
+        });
+    }
+
+    /**
+     * Calculate the surface area of all cut lengths, for painting and coating charges
+     * @param {Array} requirements - The cut lengths, with their size, unit, quantity and material
+     * @param {Object} defaultMaterial - The material of cut lengths without one of their own
+     * @returns {number} - The surface area in sq.ft
+     */
+    calculateSurfaceArea(requirements, defaultMaterial) {
+        const areaInSqM = requirements.reduce((sum, req) => {
+            const material = req.material || defaultMaterial;
+            // Perimeter (mm) × cut length (m) gives area in thousandths of a sq.m
+            const perimeter = window.materialDB.calculatePerimeter({
+                ...material,
+                shape: material.shape || window.materialDB.inferShape(material)
+            });
+            return sum + perimeter * utils.convertLength(req.size, req.unit, 'm') * req.quantity / 1000;
+        }, 0);
+        
+        return utils.roundToDecimals(utils.convertArea(areaInSqM, 'sqm', 'sqft'), 2);
+    }
+
+    /**
+     * Get the quantity a charge is applied to
+     * @param {string} basis - 'kg', 'sqft' or 'lumpsum'
+     * @param {Object} product - The product manager
+     * @returns {number} - Steel weight in kg, surface area in sq.ft, or 1 for a lump sum
+     */
+    getQuantity(basis, product) {
+        if (basis === 'kg') {
+            return utils.roundToDecimals(product.totalWeight, 3);
+        } else if (basis === 'sqft') {
+            return this.calculateSurfaceArea(product.requirements, product.currentMaterial);
+        }
+        return 1;
+    }
+
+    /**
+     * Get the display unit of a charge basis
+     * @param {string} basis - 'kg', 'sqft' or 'lumpsum'
+     * @returns {string} - The unit
+     */
+    getUnit(basis) {
+        return CHARGE_UNITS[basis];
+    }
+
+    /**
+     * Add a charge from a product's charge form
+     * @param {string} prefix - ID prefix of the product's charge elements
+     * @param {Object} product - The product manager
+     */
+    addCharge(prefix, product) {
+        // Get values from form
+        const name = document.getElementById(`${prefix}ChargeName`).value.trim();
+        const basis = document.getElementById(`${prefix}ChargeBasis`).value;
+        const rate = parseFloat(document.getElementById(`${prefix}ChargeRate`).value);
+        
+        // Validate inputs
+        if (!name || !rate) {
+            utils.showNotification('Please fill all charge fields', true);
+            return;
+        }
+        
+        // Quantity and amount follow the requirements, see updateCharges
+        product.charges.push({
+            id: utils.generateId(),
+            name,
+            basis,
+            rate,
+            quantity: 0,
+            amount: 0
+        });
+        
+        this.updateCharges(prefix, product);
+        
+        // Clear form
+        document.getElementById(`${prefix}ChargeName`).value = '';
+        document.getElementById(`${prefix}ChargeRate`).value = '';
+        this.updatePreview(prefix, product);
+        document.getElementById(`${prefix}ChargeName`).focus();
+    }
+
+    /**
+     * Update the charge calculation preview of a product's charge form
+     * @param {string} prefix - ID prefix of the product's charge elements
+     * @param {Object} product - The product manager
+     */
+    updatePreview(prefix, product) {
+        const basis = document.getElementById(`${prefix}ChargeBasis`).value;
+        const rate = parseFloat(document.getElementById(`${prefix}ChargeRate`).value) || 0;
+        const quantity = this.getQuantity(basis, product);
+        
+        document.getElementById(`${prefix}ChargeCalculation`).textContent =
+            `Quantity: ${quantity} ${this.getUnit(basis)} | Amount: ₹${utils.formatCurrency(quantity * rate)}`;
+    }
+
+    /**
+     * Recalculate a product's charges from its current weight and surface area
+     * @param {string} prefix - ID prefix of the product's charge elements
+     * @param {Object} product - The product manager
+     */
+    updateCharges(prefix, product) {
+        product.charges = product.charges.map(charge => {
+            const quantity = this.getQuantity(charge.basis, product);
+            return {
+                ...charge,
+                quantity,
+                amount: utils.roundToDecimals(quantity * charge.rate, 2)
+            };
+        });
+        
+        document.getElementById(`${prefix}SurfaceArea`).textContent =
+            this.calculateSurfaceArea(product.requirements, product.currentMaterial);
+        this.renderCharges(prefix, product);
+        this.updateTotals(prefix, product);
+    }
+
+    /**
+     * Render a product's charges table
+     * @param {string} prefix - ID prefix of the product's charge elements
+     * @param {Object} product - The product manager
+     */
+    renderCharges(prefix, product) {
+        const tbody = document.getElementById(`${prefix}ChargesTable`).querySelector('tbody');
+        tbody.innerHTML = '';
+        
+        if (product.charges.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td colspan="6">No charges added yet</td>`;
+            tbody.appendChild(row);
+            return;
+        }
+        
+        product.charges.forEach(charge => {
+            const unit = this.getUnit(charge.basis);
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${charge.name}</td>
+                <td>${charge.basis === 'lumpsum' ? 'Lump sum' : `Per ${unit}`}</td>
+                <td>${charge.quantity} ${unit}</td>
+                <td>₹${utils.formatCurrency(charge.rate)}</td>
+                <td>₹${utils.formatCurrency(charge.amount)}</td>
+                <td>
+                    <button class="delete-btn" data-id="${charge.id}" data-type="charge">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            `;
+            
+            // Add delete button event
+            row.querySelector('.delete-btn').addEventListener('click', () => {
+                this.deleteCharge(prefix, product, charge.id);
+            });
+            
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Update a product's charge totals
+     * @param {string} prefix - ID prefix of the product's charge elements
+     * @param {Object} product - The product manager
+     */
+    updateTotals(prefix, product) {
+        product.chargesTotalAmount = product.charges.reduce((sum, charge) => sum + charge.amount, 0);
+        document.getElementById(`${prefix}ChargesTotalAmount`).textContent = utils.formatCurrency(product.chargesTotalAmount);
+    }
+
+    /**
+     * Delete a charge
+     * @param {string} prefix - ID prefix of the product's charge elements
+     * @param {Object} product - The product manager
+     * @param {string} id - The charge ID
+     */
+    deleteCharge(prefix, product, id) {
+        product.charges = product.charges.filter(charge => charge.id !== id);
+        this.renderCharges(prefix, product);
+        this.updateTotals(prefix, product);
+    }
+
+    /**
+     * Build the quotation item of a charge
+     * @param {Object} charge - The charge
+     * @param {string} label - The product or job name the charge belongs to
+     * @returns {Object} - The quotation item
+     */
+    getQuotationItem(charge, label) {
+        const unit = this.getUnit(charge.basis);
+        return {
+            type: 'Charges',
+            name: `${label} - ${charge.name}`,
+            description: charge.basis === 'lumpsum'
+                ? charge.name
+                : `${charge.name} (${charge.quantity} ${unit} @ ₹${utils.formatCurrency(charge.rate)}/${unit})`,
+            indexedDescription: `${label} - ${charge.name}`,
+            dimensions: charge.basis === 'sqft' ? `Surface area: ${charge.quantity} sq.ft` : '',
+            quantity: charge.quantity,
+            unit,
+            rate: charge.rate,
+            amount: charge.amount
+        };
+    }
+}
+
+// Create global instance of the charge calculator
+window.chargeCalculator = new ChargeCalculator();
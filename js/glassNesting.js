@@ -0,0 +1,361 @@
+/**
+ * Glass Nesting Module
+ * Lays glass panes out on the jumbo sheets they are cut from, to count sheets and wastage
+ */
+
+// Jumbo sheet used for a thickness that has no size of its own (mm)
+const DEFAULT_GLASS_SHEET = { width: 2440, length: 3660 };
+
+class GlassNesting {
+    constructor() {
+        this.sheetSizes = []; // { id, thickness, width, length, rate } - sizes in mm, rate per sheet
+        this.form = null;
+    }
+
+    /**
+     * Initialize the glass sheet sizes
+     */
+    init() {
+        this.loadSheetSizes();
+        
+        this.form = document.getElementById('glassSheetSizeForm');
+        this.setupEventListeners();
+        this.renderSheetSizes();
+    }
+
+    /**
+     * Set up event listeners for the sheet size form
+     */
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveSheetSizeFromForm();
+        });
+    }
+
+    /**
+     * Load the sheet sizes from localStorage
+     */
+    loadSheetSizes() {
+        this.sheetSizes = utils.loadFromLocalStorage('glassSheetSizes') || [];
+    }
+
+    /**
+     * Save the sheet sizes to localStorage
+     */
+    saveSheetSizes() {
+        utils.saveToLocalStorage('glassSheetSizes', this.sheetSizes);
+    }
+
+    /**
+     * Get the jumbo sheet a thickness is cut from
+     * @param {number} thickness - The glass thickness in mm
+     * @returns {Object} - The sheet with width, length (mm) and rate per sheet (0 if not set)
+     */
+    getSheetSize(thickness) {
+        const sheet = this.sheetSizes.find(size => size.thickness === thickness);
+        
+        return sheet || { thickness, ...DEFAULT_GLASS_SHEET, rate: 0 };
+    }
+
+    /**
+     * Set the jumbo sheet size of a thickness, replacing any size already set for it
+     * @param {number} thickness - The glass thickness in mm
+     * @param {number} width - The sheet width in mm
+     * @param {number} length - The sheet length in mm
+     * @param {number} rate - The rate per sheet (0 to price by area)
+     */
+    setSheetSize(thickness, width, length, rate = 0) {
+        this.sheetSizes = this.sheetSizes.filter(size => size.thickness !== thickness);
+        
+        this.sheetSizes.push({
+            id: utils.generateId(),
+            thickness,
+            width,
+            length,
+            rate
+        });
+        this.sheetSizes.sort((a, b) => a.thickness - b.thickness);
+        
+        this.saveSheetSizes();
+    }
+
+    /**
+     * Delete a sheet size
+     * @param {string} id - The sheet size ID
+     */
+    deleteSheetSize(id) {
+        this.sheetSizes = this.sheetSizes.filter(size => size.id !== id);
+        this.saveSheetSizes();
+        this.renderSheetSizes();
+        this.refreshRoofing();
+    }
+
+    /**
+     * Add a sheet size from the form
+     */
+    saveSheetSizeFromForm() {
+        const thickness = parseFloat(document.getElementById('glassSheetThickness').value);
+        const width = utils.parseLengthInput(document.getElementById('glassSheetWidth').value, 'mm');
+        const length = utils.parseLengthInput(document.getElementById('glassSheetLength').value, 'mm');
+        const rate = parseFloat(document.getElementById('glassSheetRate').value) || 0;
+        
+        // Validate inputs
+        if (!thickness || !width || !length) {
+            utils.showNotification('Please enter the thickness and sheet size', true);
+            return;
+        }
+        
+        this.setSheetSize(thickness, width, length, rate);
+        
+        // Clear form
+        document.getElementById('glassSheetThickness').value = '';
+        document.getElementById('glassSheetWidth').value = '';
+        document.getElementById('glassSheetLength').value = '';
+        document.getElementById('glassSheetRate').value = '';
+        
+        this.renderSheetSizes();
+        this.refreshRoofing();
+    }
+
+    /**
+     * Re-nest the pergola roofing after the sheet sizes change
+     */
+    refreshRoofing() {
+        if (!window.pergolaManager) return;
+        
+        window.pergolaManager.renderRoofing();
+        window.pergolaManager.updateRoofingTotals();
+    }
+
+    /**
+     * Render the sheet sizes table
+     */
+    renderSheetSizes() {
+        const tbody = document.getElementById('glassSheetSizeTable').querySelector('tbody');
+        tbody.innerHTML = '';
+        
+        if (this.sheetSizes.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td colspan="4">All thicknesses use ${DEFAULT_GLASS_SHEET.width}×${DEFAULT_GLASS_SHEET.length} mm sheets</td>`;
+            tbody.appendChild(row);
+            return;
+        }
+        
+        this.sheetSizes.forEach(size => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${size.thickness} mm</td>
+                <td>${size.width}×${size.length} mm</td>
+                <td>${size.rate ? `₹${utils.formatCurrency(size.rate)}` : '-'}</td>
+                <td>
+                    <button class="delete-btn" title="Delete sheet size">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            `;
+            
+            row.querySelector('.delete-btn').addEventListener('click', () => {
+                this.deleteSheetSize(size.id);
+            });
+            
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Nest panes on jumbo sheets.
+     * Panes are laid in shelves across the sheet width, tallest first, and may be turned
+     * through 90° to fit a shelf. This is a guillotine layout that a cutter can follow,
+     * not the tightest possible nesting.
+     * @param {Array} panes - Array of panes with width, length (mm), quantity and label
+     * @param {number} sheetWidth - The sheet width in mm
+     * @param {number} sheetLength - The sheet length in mm
+     * @returns {Object} - Nesting result with sheets, sheetsUsed, netArea, sheetArea, wastagePercentage and oversized panes
+     */
+    nestPanes(panes, sheetWidth, sheetLength) {
+        const oversized = [];
+        
+        // Expand quantities
+        let allPanes = [];
+        panes.forEach(pane => {
+            const short = Math.min(pane.width, pane.length);
+            const long = Math.max(pane.width, pane.length);
+            
+            // Skip panes that do not fit the sheet either way round
+            const fits = (long <= sheetWidth && short <= sheetLength) || (long <= sheetLength && short <= sheetWidth);
+            if (!fits) {
+                oversized.push(pane);
+                return;
+            }
+            
+            for (let i = 0; i < pane.quantity; i++) {
+                allPanes.push({ width: pane.width, length: pane.length, short, long, label: pane.label });
+            }
+        });
+        
+        // Try laying panes long side across and short side across, and keep the one using fewer sheets
+        const solutions = [true, false].map(longAcross => this.nestOnShelves(allPanes, sheetWidth, sheetLength, longAcross));
+        const sheets = solutions.reduce((best, current) => current.length < best.length ? current : best, solutions[0]);
+        
+        // Work out wastage per sheet and overall
+        const sheetArea = sheetWidth * sheetLength;
+        sheets.forEach(sheet => {
+            sheet.wastagePercentage = ((sheetArea - sheet.netArea) / sheetArea) * 100;
+            delete sheet.shelves;
+        });
+        
+        const netArea = sheets.reduce((sum, sheet) => sum + sheet.netArea, 0);
+        const totalSheetArea = sheets.length * sheetArea;
+        
+        return {
+            sheets,
+            sheetsUsed: sheets.length,
+            sheetWidth,
+            sheetLength,
+            netArea,
+            sheetArea: totalSheetArea,
+            wastagePercentage: totalSheetArea ? ((totalSheetArea - netArea) / totalSheetArea) * 100 : 0,
+            oversized
+        };
+    }
+
+    /**
+     * Lay panes on shelves (First Fit Decreasing Height)
+     * @param {Array} panes - Array of expanded panes that fit the sheet
+     * @param {number} sheetWidth - The sheet width in mm
+     * @param {number} sheetLength - The sheet length in mm
+     * @param {boolean} longAcross - Whether to prefer the long side of a pane across the sheet
+     * @returns {Array} - The sheets with their placements and net area
+     */
+    nestOnShelves(panes, sheetWidth, sheetLength, longAcross) {
+        const sheets = [];
+        
+        // Orientations as [across, height], preferred one first
+        const orient = pane => (longAcross
+            ? [[pane.long, pane.short], [pane.short, pane.long]]
+            : [[pane.short, pane.long], [pane.long, pane.short]])
+            .filter(([across, height]) => across <= sheetWidth && height <= sheetLength);
+        
+        // Tallest shelves first, then widest panes
+        const sorted = [...panes].sort((a, b) => {
+            const [acrossA, heightA] = orient(a)[0];
+            const [acrossB, heightB] = orient(b)[0];
+            return heightB - heightA || acrossB - acrossA;
+        });
+        
+        sorted.forEach(pane => {
+            const orientations = orient(pane);
+            
+            // Try the open shelves first
+            for (const sheet of sheets) {
+                for (const shelf of sheet.shelves) {
+                    const fit = orientations.find(([across, height]) =>
+                        height <= shelf.height && shelf.used + across <= sheetWidth);
+                    if (fit) {
+                        this.placePane(sheet, shelf, pane, fit);
+                        return;
+                    }
+                }
+            }
+            
+            // Then a new shelf on a sheet with enough length left
+            for (const sheet of sheets) {
+                const fit = orientations.find(([, height]) => sheet.usedLength + height <= sheetLength);
+                if (fit) {
+                    this.placePane(sheet, this.addShelf(sheet, fit[1]), pane, fit);
+                    return;
+                }
+            }
+            
+            // Otherwise start a new sheet
+            const sheet = { sheetNumber: sheets.length + 1, width: sheetWidth, length: sheetLength, shelves: [], placements: [], usedLength: 0, netArea: 0 };
+            sheets.push(sheet);
+            this.placePane(sheet, this.addShelf(sheet, orientations[0][1]), pane, orientations[0]);
+        });
+        
+        return sheets;
+    }
+
+    /**
+     * Open a new shelf at the end of the used length of a sheet
+     * @param {Object} sheet - The sheet
+     * @param {number} height - The shelf height in mm
+     * @returns {Object} - The new shelf
+     */
+    addShelf(sheet, height) {
+        const shelf = { y: sheet.usedLength, height, used: 0 };
+        sheet.shelves.push(shelf);
+        sheet.usedLength += height;
+        
+        return shelf;
+    }
+
+    /**
+     * Place a pane on a shelf
+     * @param {Object} sheet - The sheet
+     * @param {Object} shelf - The shelf on the sheet
+     * @param {Object} pane - The pane
+     * @param {Array} orientation - The [across, height] of the pane as laid
+     */
+    placePane(sheet, shelf, pane, [across, height]) {
+        sheet.placements.push({
+            x: shelf.used,
+            y: shelf.y,
+            width: across,
+            length: height,
+            rotated: across !== pane.width,
+            label: pane.label
+        });
+        
+        shelf.used += across;
+        sheet.netArea += across * height;
+    }
+
+    /**
+     * Create HTML visualization of a nesting result
+     * @param {Object} result - The result of nestPanes
+     * @param {string} title - The heading for the sheets
+     * @returns {string} - HTML string for the sheets
+     */
+    createVisualization(result, title) {
+        let html = `
+            <div class="glass-nesting-group">
+                <h5>${title}</h5>
+                <p>${result.sheetsUsed} sheet(s) of ${result.sheetWidth}×${result.sheetLength} mm - Wastage: ${result.wastagePercentage.toFixed(1)}%</p>
+                <div class="glass-sheets">
+        `;
+        
+        result.sheets.forEach(sheet => {
+            html += `
+                <div class="glass-sheet-wrapper">
+                    <div class="stock-info">Sheet #${sheet.sheetNumber} - Wastage: ${sheet.wastagePercentage.toFixed(1)}%</div>
+                    <div class="glass-sheet" style="padding-bottom: ${((sheet.length / sheet.width) * 100).toFixed(2)}%">
+            `;
+            
+            // Panes are positioned as percentages of the sheet so the sketch scales
+            sheet.placements.forEach(p => {
+                html += `
+                        <div class="glass-pane" title="${p.label}${p.rotated ? ' (turned)' : ''}" style="left: ${((p.x / sheet.width) * 100).toFixed(2)}%; top: ${((p.y / sheet.length) * 100).toFixed(2)}%; width: ${((p.width / sheet.width) * 100).toFixed(2)}%; height: ${((p.length / sheet.length) * 100).toFixed(2)}%">
+                            <span class="segment-label">${Math.round(p.width)}×${Math.round(p.length)}</span>
+                        </div>
+                `;
+            });
+            
+            html += `
+                    </div>
+                </div>
+            `;
+        });
+        
+        html += `
+                </div>
+            </div>
+        `;
+        
+        return html;
+    }
+}
+
+// Create global instance of the glass nesting
+window.glassNesting = new GlassNesting();
@@ -3,6 +3,13 @@
  * Handles all grill-related calculations and interactions
  */
 
+// Grill designs that can generate a bar list from an opening size
+const GRILL_TEMPLATES = {
+    vertical: { name: 'Vertical Bars', vertical: true, horizontal: false, diagonal: false },
+    grid: { name: 'Grid', vertical: true, horizontal: true, diagonal: false },
+    diagonal: { name: 'Diagonal (45°)', vertical: false, horizontal: false, diagonal: true }
+};
+
 class GrillManager {
     constructor() {
         this.materialForm = null;
@@ -12,7 +19,16 @@ class GrillManager {
         this.totalAmount = 0;
         this.hardware = [];
         this.hardwareTotalAmount = 0;
+        this.charges = []; // Labour and finishing charges, priced per kg, per sq.ft of surface or as a lump sum
+        this.chargesTotalAmount = 0;
+        this.pricing = this.getDefaultPricing(); // Price by weight, or by opening area with the weight kept for the margin
+        this.template = null; // Last opening and design used to generate bars
+        this.memberMaterials = {}; // Materials assigned to bar types (e.g. Frame), overriding currentMaterial
+        this.editingRequirementId = null; // Requirement row open for inline editing
+        this.jobs = []; // Named grill jobs; the fields above hold the working copy of the active job
+        this.activeJobId = null;
         this.currentMaterial = {
+            shape: 'RHS',
             width: 0,
             depth: 0,
             thickness: 0,
@@ -41,6 +57,9 @@ class GrillManager {
         
         // Load saved material if exists
         this.loadSavedMaterial();
+        
+        // Start with one job
+        this.createJob();
     }
 
     /**
@@ -59,12 +78,58 @@ class GrillManager {
             this.addRequirement();
         });
         
+        // New job button
+        document.getElementById('newGrillJobBtn').addEventListener('click', () => {
+            this.createJob();
+        });
+        
+        // Rename the active job
+        document.getElementById('grillJobName').addEventListener('input', (e) => {
+            const job = this.getActiveJob();
+            if (job) {
+                job.name = e.target.value;
+                this.renderJobs();
+            }
+        });
+        
+        // Template form submit
+        document.getElementById('grillTemplateForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.generateFromTemplate();
+        });
+        
+        // Pricing mode and area price
+        document.getElementById('grillPricingForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+        });
+        
+        document.querySelectorAll('#grillPricingForm input, #grillPricingForm select').forEach(input => {
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => {
+                this.readPricingForm();
+            });
+        });
+        
         // Hardware form submit
         this.hardwareForm.addEventListener('submit', (e) => {
             e.preventDefault();
             this.addHardware();
         });
         
+        // Charge form submit
+        window.chargeCalculator.bindForm('grill', this);
+        
+        // Tab buttons
+        document.getElementById('grillHardwareTab').addEventListener('click', () => {
+            this.switchTab('hardware');
+        });
+        
+        document.getElementById('grillChargesTab').addEventListener('click', () => {
+            this.switchTab('charges');
+        });
+        
+        // Show how the typed size is read
+        utils.bindSizePreview('grillSize', 'grillUnit', 'grillSizePreview');
+        
         // Hardware calculation preview
         document.getElementById('grillHardwareUnit').addEventListener('input', this.updateHardwareCalculation.bind(this));
         document.getElementById('grillHardwareRate').addEventListener('input', this.updateHardwareCalculation.bind(this));
@@ -80,44 +145,118 @@ class GrillManager {
         });
     }
 
+    /**
+     * Switch between hardware and charges tabs
+     * @param {string} tab - The tab to switch to: 'hardware' or 'charges'
+     */
+    switchTab(tab) {
+        const hardwareTab = document.getElementById('grillHardwareTab');
+        const chargesTab = document.getElementById('grillChargesTab');
+        const hardwareContent = document.getElementById('grillHardwareTabContent');
+        const chargesContent = document.getElementById('grillChargesTabContent');
+        
+        if (tab === 'hardware') {
+            hardwareTab.classList.add('active');
+            chargesTab.classList.remove('active');
+            hardwareContent.style.display = 'block';
+            chargesContent.style.display = 'none';
+        } else if (tab === 'charges') {
+            hardwareTab.classList.remove('active');
+            chargesTab.classList.add('active');
+            hardwareContent.style.display = 'none';
+            chargesContent.style.display = 'block';
+        }
+    }
+
     /**
      * Save material details from the form
      */
     saveMaterial() {
         // Get values from form
+        const shape = document.getElementById('grillMaterialShape').value;
         const width = parseFloat(document.getElementById('grillMaterialWidth').value);
-        const depth = parseFloat(document.getElementById('grillMaterialDepth').value);
+        let depth = parseFloat(document.getElementById('grillMaterialDepth').value);
         const thickness = parseFloat(document.getElementById('grillMaterialThickness').value);
         const weight = parseFloat(document.getElementById('grillMaterialWeight').value);
         const weightUnit = document.getElementById('grillWeightUnit').value;
+        const metal = document.getElementById('grillMaterialMetal').value;
+        const weightSource = document.getElementById('grillMaterialWeight').dataset.source || 'manual';
         const rate = parseFloat(document.getElementById('grillMaterialRate').value);
         const description = document.getElementById('grillMaterialDescription').value;
+        const memberType = document.getElementById('grillMaterialMemberType').value;
         
-        // Validate inputs
-        if (!width || !depth || !thickness || !weight || !rate) {
+        // Validate inputs (depth is only needed for shapes that have one)
+        const needsDepth = window.materialDB.getShapeConfig(shape).fields.includes('depth');
+        if (!width || (needsDepth && !depth) || !thickness || !weight || !rate) {
             utils.showNotification('Please fill all required fields', true);
             return;
         }
         
-        // Set current material
-        this.currentMaterial = {
+        // Fill in the depth of shapes that don't use it
+        if (!needsDepth) {
+            depth = window.materialDB.normalizeMaterial({ shape, width, depth, thickness }).depth;
+        }
+        
+        const material = {
+            shape,
             width,
             depth,
             thickness,
             weight,
             weightUnit,
+            metal,
+            weightSource,
             rate,
             description
         };
         
-        // Save to localStorage
-        utils.saveToLocalStorage('grillMaterial', this.currentMaterial);
-        utils.showNotification('Material saved successfully');
+        if (memberType) {
+            // Assign the material to one bar type only
+            this.memberMaterials[memberType] = material;
+            this.renderMemberMaterials();
+            utils.showNotification(`Material assigned to ${memberType} bars`);
+        } else {
+            // Set current material
+            this.currentMaterial = material;
+            
+            // Save to localStorage
+            utils.saveToLocalStorage('grillMaterial', this.currentMaterial);
+            utils.showNotification('Material saved successfully');
+        }
         
         // Update calculations for existing requirements
         this.updateRequirements();
     }
 
+    /**
+     * Get the material used for a bar type
+     * @param {string} itemType - The bar type (Frame, Vertical, Horizontal, Diagonal)
+     * @returns {Object} - The assigned material, or the default material
+     */
+    getMaterialFor(itemType) {
+        return this.memberMaterials[itemType] || this.currentMaterial;
+    }
+
+    /**
+     * Remove the material assigned to a bar type, so it uses the default material again
+     * @param {string} itemType - The bar type
+     */
+    removeMemberMaterial(itemType) {
+        delete this.memberMaterials[itemType];
+        this.renderMemberMaterials();
+        this.updateRequirements();
+    }
+
+    /**
+     * Render the list of materials assigned to bar types
+     */
+    renderMemberMaterials() {
+        const container = document.getElementById('grillMemberMaterials');
+        window.materialDB.renderMemberMaterials(container, this.memberMaterials, itemType => {
+            this.removeMemberMaterial(itemType);
+        });
+    }
+
     /**
      * Load saved material from localStorage
      */
@@ -129,17 +268,12 @@ class GrillManager {
             return;
         }
         
-        // Set saved material as current
+        // Set saved material as current (materials saved before shapes existed are inferred)
         this.currentMaterial = savedMaterial;
+        this.currentMaterial.shape = savedMaterial.shape || window.materialDB.inferShape(savedMaterial);
         
         // Populate form
-        document.getElementById('grillMaterialWidth').value = savedMaterial.width;
-        document.getElementById('grillMaterialDepth').value = savedMaterial.depth;
-        document.getElementById('grillMaterialThickness').value = savedMaterial.thickness;
-        document.getElementById('grillMaterialWeight').value = savedMaterial.weight;
-        document.getElementById('grillWeightUnit').value = savedMaterial.weightUnit;
-        document.getElementById('grillMaterialRate').value = savedMaterial.rate;
-        document.getElementById('grillMaterialDescription').value = savedMaterial.description || '';
+        this.populateMaterialForm();
         
         utils.showNotification('Material loaded successfully');
         
@@ -147,6 +281,299 @@ class GrillManager {
         this.updateRequirements();
     }
 
+    /**
+     * Fill the material form from the current material
+     */
+    populateMaterialForm() {
+        const shape = this.currentMaterial.shape || window.materialDB.inferShape(this.currentMaterial);
+        document.getElementById('grillMaterialShape').value = shape;
+        window.materialDB.applyShapeToForm('grillMaterial', shape);
+        document.getElementById('grillMaterialWidth').value = this.currentMaterial.width;
+        document.getElementById('grillMaterialDepth').value = this.currentMaterial.depth;
+        document.getElementById('grillMaterialThickness').value = this.currentMaterial.thickness;
+        document.getElementById('grillMaterialWeight').value = this.currentMaterial.weight;
+        document.getElementById('grillWeightUnit').value = this.currentMaterial.weightUnit;
+        document.getElementById('grillMaterialMetal').value = this.currentMaterial.metal || 'MS';
+        window.materialDB.setWeightSource('grill', this.currentMaterial.weightSource || 'manual', this.currentMaterial.metal);
+        document.getElementById('grillMaterialRate').value = this.currentMaterial.rate;
+        document.getElementById('grillMaterialDescription').value = this.currentMaterial.description || '';
+    }
+
+    /**
+     * Fill the template form from the current template settings
+     */
+    populateTemplateForm() {
+        if (!this.template) return;
+        
+        document.getElementById('grillTemplateDesign').value = this.template.design;
+        document.getElementById('grillTemplateWidth').value = this.template.width;
+        document.getElementById('grillTemplateHeight').value = this.template.height;
+        document.getElementById('grillTemplateUnit').value = this.template.unit;
+        document.getElementById('grillTemplateMaxGap').value = this.template.maxGap;
+        document.getElementById('grillTemplateFrame').checked = this.template.withFrame;
+    }
+
+    /**
+     * Get the job currently being edited
+     * @returns {Object|undefined} - The active job
+     */
+    getActiveJob() {
+        return this.jobs.find(job => job.id === this.activeJobId);
+    }
+
+    /**
+     * Copy the working fields into the active job
+     */
+    storeActiveJob() {
+        const job = this.getActiveJob();
+        if (!job) return;
+        
+        job.currentMaterial = this.currentMaterial;
+        job.memberMaterials = this.memberMaterials;
+        job.requirements = this.requirements;
+        job.hardware = this.hardware;
+        job.charges = this.charges;
+        job.pricing = this.pricing;
+        job.template = this.template;
+    }
+
+    /**
+     * Start a new job, carrying over the current material and charge rates
+     * @param {string} name - The job name (defaults to "Grill N")
+     */
+    createJob(name = null) {
+        this.storeActiveJob();
+        
+        const job = {
+            id: utils.generateId(),
+            name: name || `Grill ${this.jobs.length + 1}`,
+            currentMaterial: { ...this.currentMaterial },
+            memberMaterials: { ...this.memberMaterials },
+            requirements: [],
+            hardware: [],
+            charges: this.charges.map(charge => ({ ...charge, id: utils.generateId() })),
+            // Keep the pricing mode and rate, the opening differs per grill
+            pricing: { ...this.pricing, width: 0, height: 0 },
+            template: null
+        };
+        
+        this.jobs.push(job);
+        this.activateJob(job.id);
+    }
+
+    /**
+     * Switch to a job and show it in the forms
+     * @param {string} id - The job ID
+     */
+    activateJob(id) {
+        this.storeActiveJob();
+        
+        const job = this.jobs.find(j => j.id === id);
+        if (!job) return;
+        
+        this.activeJobId = id;
+        this.editingRequirementId = null;
+        this.currentMaterial = job.currentMaterial;
+        this.memberMaterials = job.memberMaterials || {};
+        this.requirements = job.requirements;
+        this.hardware = job.hardware;
+        this.charges = job.charges || [];
+        this.pricing = job.pricing || this.getDefaultPricing();
+        this.template = job.template;
+        
+        // Update UI
+        document.getElementById('grillJobName').value = job.name;
+        this.populateMaterialForm();
+        this.populateTemplateForm();
+        this.populatePricingForm();
+        this.renderMemberMaterials();
+        this.renderRequirements();
+        this.updateTotals();
+        this.renderHardware();
+        this.updateHardwareTotals();
+        window.chargeCalculator.updateCharges('grill', this);
+        this.renderJobs();
+    }
+
+    /**
+     * Delete a job
+     * @param {string} id - The job ID
+     */
+    deleteJob(id) {
+        const job = this.jobs.find(j => j.id === id);
+        if (!job || !confirm(`Delete ${job.name}?`)) return;
+        
+        this.jobs = this.jobs.filter(j => j.id !== id);
+        
+        if (id === this.activeJobId) {
+            // Nothing to store for the deleted job
+            this.activeJobId = null;
+            
+            if (this.jobs.length > 0) {
+                this.activateJob(this.jobs[0].id);
+            } else {
+                this.createJob();
+            }
+        } else {
+            this.renderJobs();
+        }
+    }
+
+    /**
+     * Render the list of grill jobs
+     */
+    renderJobs() {
+        const tbody = document.getElementById('grillJobsTable').querySelector('tbody');
+        tbody.innerHTML = '';
+        
+        // The active job's rows live in the working fields
+        this.storeActiveJob();
+        
+        this.jobs.forEach(job => {
+            const weight = job.requirements.reduce((sum, req) => sum + req.weight, 0);
+            const amount = this.getJobAmount(job);
+            
+            const row = document.createElement('tr');
+            if (job.id === this.activeJobId) {
+                row.classList.add('active-job');
+            }
+            
+            row.innerHTML = `
+                <td>${job.name || '-'}</td>
+                <td>${job.requirements.length}</td>
+                <td>${utils.formatWeight(weight)} kg</td>
+                <td>₹${utils.formatCurrency(amount)}</td>
+                <td>
+                    <button class="btn open-job-btn" ${job.id === this.activeJobId ? 'disabled' : ''}>Open</button>
+                    <button class="delete-btn" title="Delete job">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            `;
+            
+            row.querySelector('.open-job-btn').addEventListener('click', () => {
+                this.activateJob(job.id);
+            });
+            
+            row.querySelector('.delete-btn').addEventListener('click', () => {
+                this.deleteJob(job.id);
+            });
+            
+            tbody.appendChild(row);
+        });
+    }
+
+    /**
+     * Get the pricing settings of a new job
+     * @returns {Object} - Weight pricing with empty area fields
+     */
+    getDefaultPricing() {
+        return {
+            mode: 'weight',
+            width: 0,
+            height: 0,
+            unit: 'mm',
+            areaUnit: 'sqft',
+            rate: 0
+        };
+    }
+
+    /**
+     * Fill the pricing form from the current pricing settings
+     */
+    populatePricingForm() {
+        document.getElementById('grillPricingMode').value = this.pricing.mode;
+        document.getElementById('grillPricingWidth').value = this.pricing.width || '';
+        document.getElementById('grillPricingHeight').value = this.pricing.height || '';
+        document.getElementById('grillPricingUnit').value = this.pricing.unit;
+        document.getElementById('grillPricingAreaUnit').value = this.pricing.areaUnit;
+        document.getElementById('grillPricingRate').value = this.pricing.rate || '';
+        
+        this.updatePricingSummary();
+    }
+
+    /**
+     * Read the pricing settings from the form
+     */
+    readPricingForm() {
+        this.pricing = {
+            mode: document.getElementById('grillPricingMode').value,
+            width: parseFloat(document.getElementById('grillPricingWidth').value) || 0,
+            height: parseFloat(document.getElementById('grillPricingHeight').value) || 0,
+            unit: document.getElementById('grillPricingUnit').value,
+            areaUnit: document.getElementById('grillPricingAreaUnit').value,
+            rate: parseFloat(document.getElementById('grillPricingRate').value) || 0
+        };
+        
+        this.updatePricingSummary();
+        this.renderJobs();
+    }
+
+    /**
+     * Calculate the area and amount of an area-priced grill
+     * @param {Object} pricing - The pricing settings (defaults to the current job's)
+     * @returns {Object} - Object with area in the pricing's area unit and amount
+     */
+    calculateAreaPrice(pricing = this.pricing) {
+        // Opening area in square meters
+        const areaInSqM = utils.convertLength(pricing.width, pricing.unit, 'm') *
+            utils.convertLength(pricing.height, pricing.unit, 'm');
+        const area = utils.roundToDecimals(utils.convertArea(areaInSqM, 'sqm', pricing.areaUnit), 2);
+        
+        return {
+            area,
+            amount: utils.roundToDecimals(area * pricing.rate, 2)
+        };
+    }
+
+    /**
+     * Get the grill amount of a job, by weight or by area, plus its hardware and charges
+     * @param {Object} job - The job
+     * @returns {number} - The job amount
+     */
+    getJobAmount(job) {
+        const pricing = job.pricing || this.getDefaultPricing();
+        const grillAmount = pricing.mode === 'area'
+            ? this.calculateAreaPrice(pricing).amount
+            : job.requirements.reduce((sum, req) => sum + req.amount, 0);
+        
+        return grillAmount +
+            job.hardware.reduce((sum, hw) => sum + hw.amount, 0) +
+            (job.charges || []).reduce((sum, charge) => sum + charge.amount, 0);
+    }
+
+    /**
+     * Show the area price against the steel cost of the bars
+     */
+    updatePricingSummary() {
+        const summary = document.getElementById('grillPricingSummary');
+        const isArea = this.pricing.mode === 'area';
+        document.getElementById('grillAreaPricingFields').style.display = isArea ? '' : 'none';
+        
+        if (!isArea) {
+            summary.textContent = 'Priced by weight';
+            return;
+        }
+        
+        const { area, amount } = this.calculateAreaPrice();
+        const areaLabel = this.pricing.areaUnit === 'sqft' ? 'sq.ft' : 'sq.m';
+        let text = `Area: ${area} ${areaLabel} | Amount: ₹${utils.formatCurrency(amount)}`;
+        
+        // Margin against the bars priced at the material rate
+        if (this.totalWeight > 0) {
+            const margin = amount - this.totalAmount;
+            text += ` | Steel: ${utils.formatWeight(this.totalWeight)} kg (₹${utils.formatCurrency(this.totalAmount)})` +
+                ` | Effective: ₹${utils.formatCurrency(amount / this.totalWeight)}/kg` +
+                ` | Margin: ₹${utils.formatCurrency(margin)}`;
+            
+            if (this.totalAmount > 0) {
+                text += ` (${utils.roundToDecimals(margin / this.totalAmount * 100, 1)}%)`;
+            }
+        }
+        
+        summary.textContent = text;
+    }
+
     /**
      * Add a new requirement from the form
      */
@@ -170,7 +597,7 @@ class GrillManager {
         
         // Parse size (handle different formats)
         const parsedSize = utils.parseSizeInput(size);
-        const sizeValue = parsedSize.unit ? parsedSize.value : parseFloat(size);
+        const sizeValue = parsedSize.value;
         const sizeUnit = parsedSize.unit || unit;
         
         if (!sizeValue || sizeValue <= 0 || !quantity || quantity <= 0) {
@@ -188,7 +615,8 @@ class GrillManager {
             unit: sizeUnit,
             quantity,
             weight,
-            amount
+            amount,
+            material: this.currentMaterial
         };
         
         this.requirements.push(requirement);
@@ -199,23 +627,187 @@ class GrillManager {
         
         // Clear form
         document.getElementById('grillSize').value = '';
+        document.getElementById('grillSizePreview').textContent = '';
         document.getElementById('grillQuantity').value = '';
         document.getElementById('grillSize').focus();
     }
 
+    /**
+     * Generate frame and infill bar requirements from the opening size and design template
+     */
+    generateFromTemplate() {
+        const unit = document.getElementById('grillTemplateUnit').value;
+        const settings = {
+            design: document.getElementById('grillTemplateDesign').value,
+            width: parseFloat(document.getElementById('grillTemplateWidth').value),
+            height: parseFloat(document.getElementById('grillTemplateHeight').value),
+            unit,
+            maxGap: parseFloat(document.getElementById('grillTemplateMaxGap').value),
+            withFrame: document.getElementById('grillTemplateFrame').checked
+        };
+        
+        // Validate inputs
+        if (!settings.width || !settings.height || !settings.maxGap || settings.width <= 0 || settings.height <= 0 || settings.maxGap <= 0) {
+            utils.showNotification('Please enter the opening size and maximum gap', true);
+            return;
+        }
+        
+        // Check if material is set for every bar type the design uses
+        const bars = this.calculateTemplateBars(settings);
+        if (bars.some(bar => !this.getMaterialFor(bar.itemType).weight || !this.getMaterialFor(bar.itemType).rate)) {
+            utils.showNotification('Please set material details first', true);
+            return;
+        }
+        
+        // Regenerating replaces the rows from the previous template but keeps manual rows
+        this.requirements = this.requirements.filter(req => !req.fromTemplate);
+        
+        bars.forEach(bar => {
+            const material = this.getMaterialFor(bar.itemType);
+            const { weight, amount } = this.calculateRequirement(bar.size, 'mm', bar.quantity, material);
+            
+            this.requirements.push({
+                id: utils.generateId(),
+                itemType: bar.itemType,
+                size: bar.size,
+                unit: 'mm',
+                quantity: bar.quantity,
+                weight,
+                amount,
+                description: bar.description,
+                material,
+                fromTemplate: true
+            });
+        });
+        
+        this.template = settings;
+        
+        // The template opening is the area to price unless one was entered
+        if (!this.pricing.width && !this.pricing.height) {
+            this.pricing = { ...this.pricing, width: settings.width, height: settings.height, unit: settings.unit };
+            this.populatePricingForm();
+        }
+        
+        // Update UI
+        this.renderRequirements();
+        this.updateTotals();
+        utils.showNotification(`${GRILL_TEMPLATES[settings.design].name} bar list generated`);
+    }
+
+    /**
+     * Work out the bars of a grill design for an opening.
+     * Bar counts are the fewest that keep every clear gap at or below the maximum gap.
+     * @param {Object} settings - design, width, height, unit, maxGap (mm) and withFrame
+     * @returns {Array} - Bars with itemType, size (mm), quantity and description
+     */
+    calculateTemplateBars(settings) {
+        const template = GRILL_TEMPLATES[settings.design] || GRILL_TEMPLATES.vertical;
+        const width = Math.round(utils.convertLength(settings.width, settings.unit, 'mm'));
+        const height = Math.round(utils.convertLength(settings.height, settings.unit, 'mm'));
+        const maxGap = settings.maxGap;
+        const bars = [];
+        
+        // Infill fits inside the frame, if any
+        const frameSize = settings.withFrame ? (this.getMaterialFor('Frame').width || 0) : 0;
+        const innerWidth = width - 2 * frameSize;
+        const innerHeight = height - 2 * frameSize;
+        
+        if (settings.withFrame) {
+            bars.push(
+                { itemType: 'Frame', size: width, quantity: 2, description: 'Top and bottom' },
+                { itemType: 'Frame', size: height, quantity: 2, description: 'Sides' }
+            );
+        }
+        
+        // Fewest bars across a span so no gap exceeds the maximum
+        const countBars = (span, barSize) => Math.max(Math.ceil((span - maxGap) / (maxGap + barSize)), 0);
+        const gapFor = (span, count, barSize) => Math.round((span - count * barSize) / (count + 1));
+        
+        if (template.vertical) {
+            const barSize = this.getMaterialFor('Vertical').width || 0;
+            const count = countBars(innerWidth, barSize);
+            if (count > 0) {
+                bars.push({
+                    itemType: 'Vertical',
+                    size: innerHeight,
+                    quantity: count,
+                    description: `Gap ${gapFor(innerWidth, count, barSize)}mm`
+                });
+            }
+        }
+        
+        if (template.horizontal) {
+            const barSize = this.getMaterialFor('Horizontal').width || 0;
+            const count = countBars(innerHeight, barSize);
+            if (count > 0) {
+                bars.push({
+                    itemType: 'Horizontal',
+                    size: innerWidth,
+                    quantity: count,
+                    description: `Gap ${gapFor(innerHeight, count, barSize)}mm`
+                });
+            }
+        }
+        
+        if (template.diagonal) {
+            bars.push(...this.calculateDiagonalBars(innerWidth, innerHeight, maxGap, this.getMaterialFor('Diagonal').width || 0));
+        }
+        
+        return bars;
+    }
+
+    /**
+     * Work out 45° diagonal bars across a rectangle, grouped by cut length
+     * @param {number} width - Inner width in mm
+     * @param {number} height - Inner height in mm
+     * @param {number} maxGap - Maximum clear gap between bars in mm
+     * @param {number} barSize - Bar face width in mm
+     * @returns {Array} - Bars with itemType, size (mm), quantity and description
+     */
+    calculateDiagonalBars(width, height, maxGap, barSize) {
+        // Bars follow y = x - c; the perpendicular pitch is gap + bar, so the horizontal pitch is √2 times that
+        const pitch = (maxGap + barSize) * Math.SQRT2;
+        const lengths = {};
+        
+        // Centre the bars on the rectangle's diagonal
+        const count = Math.floor((width + height) / pitch);
+        const start = (width - height - (count - 1) * pitch) / 2;
+        
+        for (let i = 0; i < count; i++) {
+            const c = start + i * pitch;
+            
+            // Horizontal extent of the line inside the rectangle
+            const run = Math.min(width, height + c) - Math.max(0, c);
+            if (run <= 0) continue;
+            
+            const length = Math.round(run * Math.SQRT2);
+            lengths[length] = (lengths[length] || 0) + 1;
+        }
+        
+        return Object.entries(lengths)
+            .sort((a, b) => b[0] - a[0])
+            .map(([length, quantity]) => ({
+                itemType: 'Diagonal',
+                size: parseInt(length),
+                quantity,
+                description: '45° cut'
+            }));
+    }
+
     /**
      * Calculate weight and amount for a requirement
      * @param {number} size - The size value
      * @param {string} unit - The unit (mm, cm, inch, ft, m)
      * @param {number} quantity - The quantity
+     * @param {Object} material - The material of the bar (defaults to the current material)
      * @returns {Object} - Object with weight and amount
      */
-    calculateRequirement(size, unit, quantity) {
+    calculateRequirement(size, unit, quantity, material = this.currentMaterial) {
         // Convert to the unit used in weight (m or ft)
         let convertedSize;
-        if (this.currentMaterial.weightUnit === 'kg/m') {
+        if (material.weightUnit === 'kg/m') {
             convertedSize = utils.convertLength(size, unit, 'm');
-        } else if (this.currentMaterial.weightUnit === 'kg/ft') {
+        } else if (material.weightUnit === 'kg/ft') {
             convertedSize = utils.convertLength(size, unit, 'ft');
         } else {
             // For per piece, size doesn't matter
@@ -223,10 +815,10 @@ class GrillManager {
         }
         
         // Calculate weight
-        const weight = this.currentMaterial.weight * convertedSize * quantity;
+        const weight = material.weight * convertedSize * quantity;
         
         // Calculate amount
-        const amount = weight * this.currentMaterial.rate;
+        const amount = weight * material.rate;
         
         return {
             weight: utils.roundToDecimals(weight, 3),
@@ -243,35 +835,219 @@ class GrillManager {
         
         if (this.requirements.length === 0) {
             const row = document.createElement('tr');
-            row.innerHTML = `<td colspan="6">No requirements added yet</td>`;
+            row.innerHTML = `<td colspan="7">No requirements added yet</td>`;
             tbody.appendChild(row);
             return;
         }
         
-        this.requirements.forEach(req => {
+        this.requirements.forEach((req, index) => {
             const row = document.createElement('tr');
+            const materialNote = this.memberMaterials[req.itemType] ? `<br><small>${window.materialDB.formatMaterialLabel(req.material)}</small>` : '';
+            
+            // Inline editor
+            if (req.id === this.editingRequirementId) {
+                row.classList.add('editing-row');
+                row.innerHTML = `
+                    <td>${req.itemType || '-'}<br><input type="text" class="edit-description" value="${req.description || ''}" placeholder="Description">${materialNote}</td>
+                    <td><input type="text" class="edit-size" value="${req.size}"></td>
+                    <td><select class="edit-unit">${this.getUnitOptions(req.unit)}</select></td>
+                    <td><input type="number" class="edit-quantity" min="1" value="${req.quantity}"></td>
+                    <td>${utils.formatWeight(req.weight)} kg</td>
+                    <td>₹${utils.formatCurrency(req.amount)}</td>
+                    <td>
+                        <button class="save-edit-btn" title="Save">
+                            <i class="fas fa-check"></i>
+                        </button>
+                        <button class="cancel-edit-btn" title="Cancel">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </td>
+                `;
+                
+                row.querySelector('.save-edit-btn').addEventListener('click', () => {
+                    this.saveRequirementEdit(req.id, row);
+                });
+                
+                row.querySelector('.cancel-edit-btn').addEventListener('click', () => {
+                    this.cancelRequirementEdit();
+                });
+                
+                tbody.appendChild(row);
+                return;
+            }
+            
             row.innerHTML = `
+                <td>${req.itemType || '-'}${req.fromTemplate ? ' <span class="material-badge custom" title="Generated from template">Template</span>' : ''}${req.description ? `<br><small>${req.description}</small>` : ''}${materialNote}</td>
                 <td>${req.size} ${req.unit}</td>
                 <td>${req.unit}</td>
                 <td>${req.quantity}</td>
                 <td>${utils.formatWeight(req.weight)} kg</td>
                 <td>₹${utils.formatCurrency(req.amount)}</td>
-                <td>
-                    <button class="delete-btn" data-id="${req.id}">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </td>
+                <td>${this.getRequirementActions(index)}</td>
             `;
             
-            // Add delete button event
-            row.querySelector('.delete-btn').addEventListener('click', () => {
-                this.deleteRequirement(req.id);
-            });
+            // Add row action events
+            this.bindRequirementActions(row, req);
             
             tbody.appendChild(row);
         });
     }
 
+    /**
+     * Build the unit options for an inline unit select
+     * @param {string} selected - The selected unit
+     * @returns {string} - Option elements HTML
+     */
+    getUnitOptions(selected) {
+        return ['mm', 'cm', 'inch', 'ft', 'm']
+            .map(unit => `<option value="${unit}" ${unit === selected ? 'selected' : ''}>${unit}</option>`)
+            .join('');
+    }
+
+    /**
+     * Build the action buttons of a requirement row
+     * @param {number} index - The row index
+     * @returns {string} - Buttons HTML
+     */
+    getRequirementActions(index) {
+        return `
+            <button class="move-btn" data-direction="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                <i class="fas fa-arrow-up"></i>
+            </button>
+            <button class="move-btn" data-direction="1" title="Move down" ${index === this.requirements.length - 1 ? 'disabled' : ''}>
+                <i class="fas fa-arrow-down"></i>
+            </button>
+            <button class="edit-btn" title="Edit">
+                <i class="fas fa-edit"></i>
+            </button>
+            <button class="duplicate-btn" title="Duplicate">
+                <i class="fas fa-copy"></i>
+            </button>
+            <button class="delete-btn" title="Delete">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Bind the action buttons of a requirement row
+     * @param {HTMLElement} row - The table row
+     * @param {Object} req - The requirement
+     */
+    bindRequirementActions(row, req) {
+        row.querySelectorAll('.move-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.moveRequirement(req.id, parseInt(button.dataset.direction));
+            });
+        });
+        
+        row.querySelector('.edit-btn').addEventListener('click', () => {
+            this.editRequirement(req.id);
+        });
+        
+        row.querySelector('.duplicate-btn').addEventListener('click', () => {
+            this.duplicateRequirement(req.id);
+        });
+        
+        row.querySelector('.delete-btn').addEventListener('click', () => {
+            this.deleteRequirement(req.id);
+        });
+    }
+
+    /**
+     * Open a requirement row for inline editing
+     * @param {string} id - The requirement ID
+     */
+    editRequirement(id) {
+        this.editingRequirementId = id;
+        this.renderRequirements();
+    }
+
+    /**
+     * Close the inline editor without saving
+     */
+    cancelRequirementEdit() {
+        this.editingRequirementId = null;
+        this.renderRequirements();
+    }
+
+    /**
+     * Save an edited requirement row and recalculate its weight and amount
+     * @param {string} id - The requirement ID
+     * @param {HTMLElement} row - The table row holding the inputs
+     */
+    saveRequirementEdit(id, row) {
+        const size = row.querySelector('.edit-size').value;
+        const unit = row.querySelector('.edit-unit').value;
+        const quantity = parseInt(row.querySelector('.edit-quantity').value);
+        const description = row.querySelector('.edit-description').value.trim();
+        
+        // Parse size (handle different formats)
+        const parsedSize = utils.parseSizeInput(size);
+        const sizeValue = parsedSize.value;
+        const sizeUnit = parsedSize.unit || unit;
+        
+        if (!sizeValue || sizeValue <= 0 || !quantity || quantity <= 0) {
+            utils.showNotification('Please enter valid size and quantity', true);
+            return;
+        }
+        
+        this.requirements = this.requirements.map(req => {
+            if (req.id !== id) return req;
+            
+            const material = this.getMaterialFor(req.itemType);
+            const { weight, amount } = this.calculateRequirement(sizeValue, sizeUnit, quantity, material);
+            return {
+                ...req,
+                size: sizeValue,
+                unit: sizeUnit,
+                quantity,
+                description,
+                weight,
+                amount,
+                material
+            };
+        });
+        
+        this.editingRequirementId = null;
+        this.renderRequirements();
+        this.updateTotals();
+    }
+
+    /**
+     * Copy a requirement row below itself
+     * @param {string} id - The requirement ID
+     */
+    duplicateRequirement(id) {
+        const index = this.requirements.findIndex(req => req.id === id);
+        if (index === -1) return;
+        
+        // The copy is a manual row, so regenerating won't replace it
+        const copy = { ...this.requirements[index], id: utils.generateId() };
+        delete copy.fromTemplate;
+        
+        this.requirements.splice(index + 1, 0, copy);
+        this.renderRequirements();
+        this.updateTotals();
+    }
+
+    /**
+     * Move a requirement row up or down
+     * @param {string} id - The requirement ID
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    moveRequirement(id, direction) {
+        const index = this.requirements.findIndex(req => req.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.requirements.length) return;
+        
+        const requirements = [...this.requirements];
+        [requirements[index], requirements[target]] = [requirements[target], requirements[index]];
+        this.requirements = requirements;
+        
+        this.renderRequirements();
+    }
+
     /**
      * Update total weight and amount
      */
@@ -281,6 +1057,14 @@ class GrillManager {
         
         document.getElementById('grillTotalWeight').textContent = utils.formatWeight(this.totalWeight);
         document.getElementById('grillTotalAmount').textContent = utils.formatCurrency(this.totalAmount);
+        
+        window.chargeCalculator.updateCharges('grill', this);
+        this.updatePricingSummary();
+        
+        // Keep the job summary in step
+        if (this.activeJobId) {
+            this.renderJobs();
+        }
     }
 
     /**
@@ -300,11 +1084,13 @@ class GrillManager {
         if (!this.requirements.length) return;
         
         this.requirements = this.requirements.map(req => {
-            const { weight, amount } = this.calculateRequirement(req.size, req.unit, req.quantity);
+            const material = this.getMaterialFor(req.itemType);
+            const { weight, amount } = this.calculateRequirement(req.size, req.unit, req.quantity, material);
             return {
                 ...req,
                 weight,
-                amount
+                amount,
+                material
             };
         });
         
@@ -422,60 +1208,151 @@ class GrillManager {
      * Add to quotation
      */
     addToQuotation() {
-        // Check if requirements exist
-        if (this.requirements.length === 0 && this.hardware.length === 0) {
+        this.storeActiveJob();
+        
+        // Check if requirements exist; a job with only charges, such as installation, or only an
+        // area price, before the bars are worked out, is quoted too
+        const jobs = this.jobs.filter(job => job.requirements.length > 0 || job.hardware.length > 0 ||
+            (job.charges || []).some(charge => charge.amount > 0) ||
+            (job.pricing && job.pricing.mode === 'area' && this.calculateAreaPrice(job.pricing).amount > 0));
+        if (jobs.length === 0) {
             utils.showNotification('No items to add to quotation', true);
             return;
         }
         
+        // Area-priced jobs need their opening and rate
+        const unpriced = jobs.find(job => job.pricing && job.pricing.mode === 'area' &&
+            job.requirements.length > 0 && !this.calculateAreaPrice(job.pricing).amount);
+        if (unpriced) {
+            utils.showNotification(`Please enter the opening size and area rate for ${unpriced.name || 'the grill'}`, true);
+            return;
+        }
+        
+        // One quotation line per job
+        jobs.forEach(job => {
+            this.activateJob(job.id);
+            this.addJobToQuotation(job);
+        });
+        
+        // Start afresh so the next site doesn't inherit these jobs
+        this.jobs = [];
+        this.activeJobId = null;
+        this.createJob();
+        
+        utils.showNotification(`Added ${jobs.length} grill job${jobs.length > 1 ? 's' : ''} to quotation`);
+    }
+
+    /**
+     * Add the active job's material, hardware and charges to the quotation
+     * @param {Object} job - The active job
+     */
+    addJobToQuotation(job) {
+        const areaAmount = this.pricing.mode === 'area' ? this.calculateAreaPrice().amount : 0;
+        
         // Create a quotation item for material requirements
+        let item = null;
         if (this.requirements.length > 0) {
-            // Create title based on material description or default
-            const materialTitle = this.currentMaterial.description 
-                ? `Grill (${this.currentMaterial.description})` 
-                : `Grill (${this.currentMaterial.width}×${this.currentMaterial.depth}×${this.currentMaterial.thickness}mm)`;
+            // Bar types with their own material are listed separately
+            const defaultMaterial = this.requirements.some(req => !this.memberMaterials[req.itemType])
+                ? this.currentMaterial
+                : this.requirements[0].material;
+            const mainMaterial = window.materialDB.getQuotationDetails(defaultMaterial, 'Grill Material');
+            const dimensions = mainMaterial.dimensions;
+            
+            // Describe each distinct material once, with the bar types that use it
+            const materialLines = new Map();
+            this.requirements.forEach(req => {
+                const material = req.material || this.currentMaterial;
+                const label = window.materialDB.formatMaterialLabel(material);
+                
+                if (!materialLines.has(label)) {
+                    // Flag weights calculated from section geometry rather than taken from the catalogue
+                    const weightNote = material.weightSource === 'calculated'
+                        ? ` (calculated, ${material.metal || 'MS'})`
+                        : '';
+                    materialLines.set(label, { text: `${label}, ${material.weight} ${material.weightUnit}${weightNote}`, types: new Set() });
+                }
+                materialLines.get(label).types.add(req.itemType || 'Bars');
+            });
             
-            // Format dimensions for display
-            const dimensions = `${this.currentMaterial.width}×${this.currentMaterial.depth}×${this.currentMaterial.thickness}mm`;
+            const materialDescription = materialLines.size === 1
+                ? Array.from(materialLines.values())[0].text
+                : Array.from(materialLines.values())
+                    .map(line => `${Array.from(line.types).join('/')}: ${line.text}`)
+                    .join('; ');
             
-            // Create indexed requirement list for cutting plan
+            // Create title from the job name and material description or dimensions
+            const materialTitle = `${job.name || 'Grill'} (${defaultMaterial.description || dimensions})`;
+            
+            // Create indexed requirement list for cutting plan, each row with its own material
             const requirements = this.requirements.map(req => ({
                 size: req.size,
                 unit: req.unit,
                 quantity: req.quantity,
-                itemType: 'Grill',
-                description: materialTitle
+                itemType: req.itemType || 'Grill',
+                description: materialTitle,
+                material: window.materialDB.getQuotationDetails(req.material || this.currentMaterial, 'Grill Material')
             }));
             
-            // Add material to quotation
-            this.quotationManager.addItem({
+            item = {
                 type: 'Grill',
                 name: materialTitle,
-                description: `Material: ${dimensions}, ${this.currentMaterial.weight} ${this.currentMaterial.weightUnit}`,
-                indexedDescription: `Grill Material - ${dimensions}`,
+                description: `Material: ${materialDescription}`,
+                indexedDescription: `${job.name || 'Grill'} - ${dimensions}`,
                 quantity: 1,
                 unit: 'set',
                 amount: this.totalAmount,
                 details: {
-                    material: {
-                        type: this.currentMaterial.description || 'Grill Material',
-                        width: this.currentMaterial.width,
-                        depth: this.currentMaterial.depth,
-                        thickness: this.currentMaterial.thickness,
-                        weight: this.currentMaterial.weight,
-                        weightUnit: this.currentMaterial.weightUnit,
-                        dimensions: dimensions
-                    },
+                    material: mainMaterial,
                     requirements: requirements
                 }
-            });
+            };
+        } else if (areaAmount > 0) {
+            // Priced by area before any bars are worked out; the bars only feed the cutting plan and margin
+            item = {
+                type: 'Grill',
+                name: job.name || 'Grill',
+                description: 'Priced by area',
+                indexedDescription: `${job.name || 'Grill'} - Area priced`,
+                quantity: 1,
+                unit: 'set',
+                amount: 0,
+                details: {
+                    requirements: []
+                }
+            };
+        }
+        
+        // Area pricing replaces the weight amount; the bars still go to the cutting plan
+        if (item && this.pricing.mode === 'area') {
+            const { area, amount } = this.calculateAreaPrice();
+            const areaLabel = this.pricing.areaUnit === 'sqft' ? 'sq.ft' : 'sq.m';
+            
+            item.description += `; Opening ${this.pricing.width}×${this.pricing.height} ${this.pricing.unit}`;
+            item.width = utils.convertLength(this.pricing.width, this.pricing.unit, 'mm');
+            item.height = utils.convertLength(this.pricing.height, this.pricing.unit, 'mm');
+            item.quantity = area;
+            item.unit = areaLabel;
+            item.rate = this.pricing.rate;
+            item.amount = amount;
+            item.details.pricing = {
+                ...this.pricing,
+                area,
+                weightAmount: this.totalAmount,
+                totalWeight: this.totalWeight
+            };
+        }
+        
+        // Add material to quotation
+        if (item) {
+            this.quotationManager.addItem(item);
         }
         
         // Add hardware items individually
         this.hardware.forEach(hw => {
             this.quotationManager.addItem({
                 type: 'Hardware',
-                name: `Grill Hardware - ${hw.name}`,
+                name: `${job.name || 'Grill'} Hardware - ${hw.name}`,
                 description: `${hw.name} (${hw.units} units)`,
                 indexedDescription: `Hardware - ${hw.name}`,
                 quantity: hw.units,
@@ -485,7 +1362,10 @@ class GrillManager {
             });
         });
         
-        utils.showNotification('Added to quotation successfully');
+        // Add labour and finishing charges individually, leaving out charges that come to nothing
+        this.charges.filter(charge => charge.amount > 0).forEach(charge => {
+            this.quotationManager.addItem(window.chargeCalculator.getQuotationItem(charge, job.name || 'Grill'));
+        });
     }
 
     /**
@@ -502,13 +1382,22 @@ class GrillManager {
      * @returns {Object} - The state object
      */
     saveState() {
+        this.storeActiveJob();
+        
         return {
             requirements: this.requirements,
             totalWeight: this.totalWeight,
             totalAmount: this.totalAmount,
             hardware: this.hardware,
             hardwareTotalAmount: this.hardwareTotalAmount,
-            currentMaterial: this.currentMaterial
+            charges: this.charges,
+            chargesTotalAmount: this.chargesTotalAmount,
+            pricing: this.pricing,
+            currentMaterial: this.currentMaterial,
+            template: this.template,
+            memberMaterials: this.memberMaterials,
+            jobs: this.jobs,
+            activeJobId: this.activeJobId
         };
     }
 
@@ -524,6 +1413,11 @@ class GrillManager {
         this.totalAmount = state.totalAmount || 0;
         this.hardware = state.hardware || [];
         this.hardwareTotalAmount = state.hardwareTotalAmount || 0;
+        this.charges = state.charges || [];
+        this.chargesTotalAmount = state.chargesTotalAmount || 0;
+        this.template = state.template || null;
+        this.pricing = state.pricing || this.getDefaultPricing();
+        this.memberMaterials = state.memberMaterials || {};
         this.currentMaterial = state.currentMaterial || {
             width: 0,
             depth: 0,
@@ -534,20 +1428,26 @@ class GrillManager {
             description: ''
         };
         
-        // Update UI
-        this.renderRequirements();
-        this.renderHardware();
-        this.updateTotals();
-        this.updateHardwareTotals();
+        // Older saves hold a single grill; wrap it as the first job
+        this.jobs = state.jobs || [];
+        this.activeJobId = null;
+        if (this.jobs.length === 0) {
+            this.jobs.push({
+                id: utils.generateId(),
+                name: 'Grill 1',
+                currentMaterial: this.currentMaterial,
+                memberMaterials: this.memberMaterials,
+                requirements: this.requirements,
+                hardware: this.hardware,
+                charges: this.charges,
+                pricing: this.pricing,
+                template: this.template
+            });
+        }
         
-        // Populate material form
-        document.getElementById('grillMaterialWidth').value = this.currentMaterial.width;
-        document.getElementById('grillMaterialDepth').value = this.currentMaterial.depth;
-        document.getElementById('grillMaterialThickness').value = this.currentMaterial.thickness;
-        document.getElementById('grillMaterialWeight').value = this.currentMaterial.weight;
-        document.getElementById('grillWeightUnit').value = this.currentMaterial.weightUnit;
-        document.getElementById('grillMaterialRate').value = this.currentMaterial.rate;
-        document.getElementById('grillMaterialDescription').value = this.currentMaterial.description || '';
+        // Update UI
+        const active = this.jobs.find(job => job.id === state.activeJobId) || this.jobs[0];
+        this.activateJob(active.id);
     }
 }
 
@@ -3,6 +3,67 @@
  * Handles loading, searching, and managing material data
  */
 
+// Supported section shapes. Every shape stores its dimensions in width/depth/thickness;
+// `fields` lists the ones the user enters and `labels` how they are named for that shape.
+const SECTION_SHAPES = {
+    RHS: {
+        name: 'Rectangular Hollow Section',
+        fields: ['width', 'depth', 'thickness'],
+        labels: { width: 'Width', depth: 'Depth', thickness: 'Thickness' },
+        aliases: ['rhs', 'rectangular', 'rect']
+    },
+    SHS: {
+        name: 'Square Hollow Section',
+        fields: ['width', 'thickness'],
+        labels: { width: 'Side', thickness: 'Thickness' },
+        aliases: ['shs', 'square', 'sq']
+    },
+    ROUND: {
+        name: 'Round Pipe',
+        fields: ['width', 'thickness'],
+        labels: { width: 'Outer Diameter', thickness: 'Wall Thickness' },
+        aliases: ['round', 'pipe', 'chs', 'tube', 'od']
+    },
+    FLAT: {
+        name: 'Flat Bar',
+        fields: ['width', 'thickness'],
+        labels: { width: 'Width', thickness: 'Thickness' },
+        aliases: ['flat', 'patti', 'strip']
+    },
+    ANGLE: {
+        name: 'Angle',
+        fields: ['width', 'depth', 'thickness'],
+        labels: { width: 'Leg A', depth: 'Leg B', thickness: 'Thickness' },
+        aliases: ['angle', 'l']
+    },
+    CHANNEL: {
+        name: 'Channel',
+        fields: ['width', 'depth', 'thickness'],
+        labels: { width: 'Web Height', depth: 'Flange Width', thickness: 'Thickness' },
+        aliases: ['channel', 'ismc', 'c']
+    }
+};
+
+// Metal grades available for calculating weight from section geometry (density in kg/m³).
+// The catalogue weights are for mild steel. Elastic modulus and allowable bending stress
+// (both N/mm²) are used for the span check.
+const METAL_DENSITIES = {
+    MS: { name: 'Mild Steel (MS)', density: 7850, modulus: 200000, allowableStress: 165 },
+    GI: { name: 'Galvanised Iron (GI)', density: 7850, modulus: 200000, allowableStress: 165 },
+    SS304: { name: 'Stainless Steel 304', density: 7930, modulus: 193000, allowableStress: 140 },
+    AL: { name: 'Aluminium', density: 2700, modulus: 69000, allowableStress: 95 }
+};
+
+// Nominal uniform loads (kN/m) for the pergola span check: self weight, light roofing and a
+// maintenance allowance. A rule of thumb for flagging unrealistic spans, not a structural design.
+const SPAN_LOADS = {
+    Beam: 1.5,
+    Rafter: 0.5
+};
+
+// Allowed deflection of beams and rafters as span / limit
+const SPAN_DEFLECTION_LIMIT = 180;
+
 class MaterialDatabase {
     constructor() {
         this.materials = [];
@@ -13,12 +74,24 @@ class MaterialDatabase {
         this.table = null;
         this.selectedMaterial = null;
         this.targetType = null; // 'grill' or 'pergola'
+        this.customMaterials = []; // User-added or edited profiles persisted in localStorage
+        this.stockMaterials = []; // Profiles from the embedded data and CSV, before custom entries are merged
+        this.stockKeys = new Set(); // Keys of the stock profiles
+        this.editingMaterial = null; // Profile currently open in the edit form
+        this.searchResults = []; // Materials matching the current search and filters
+        this.sortColumn = null; // Column the results are sorted by, null for catalogue order
+        this.sortDirection = 'asc';
+        this.currentPage = 1;
+        this.pageSize = 50;
     }
 
     /**
      * Initialize the material database
      */
     init() {
+        // Load user-maintained profiles before the stock list so they can be merged over it
+        this.loadCustomMaterials();
+        
         // Load material data from CSV file
         this.loadMaterialsFromCSV()
             .then(() => {
@@ -35,6 +108,16 @@ class MaterialDatabase {
         this.searchInput = document.getElementById('materialSearchInput');
         this.searchBtn = document.getElementById('materialSearchBtn');
         this.table = document.getElementById('materialDatabaseTable');
+        this.editForm = document.getElementById('materialEditForm');
+        this.shapeFilter = document.getElementById('materialShapeFilter');
+
+        // Fill the shape selects of the modal and the product material forms
+        this.populateShapeSelect(this.shapeFilter, true);
+        this.populateShapeSelect(document.getElementById('materialEditShape'));
+        this.populateShapeSelect(document.getElementById('grillMaterialShape'));
+        this.populateShapeSelect(document.getElementById('pergolaMaterialShape'));
+        this.populateMetalSelect(document.getElementById('grillMaterialMetal'));
+        this.populateMetalSelect(document.getElementById('pergolaMaterialMetal'));
 
         // Set up event listeners
         this.setupEventListeners();
@@ -69,6 +152,33 @@ class MaterialDatabase {
             }
         });
 
+        // Range filters
+        document.querySelectorAll('.material-range-filters input').forEach(input => {
+            input.addEventListener('input', () => {
+                this.searchMaterials();
+            });
+        });
+
+        document.getElementById('clearMaterialFiltersBtn').addEventListener('click', () => {
+            this.clearRangeFilters();
+        });
+
+        // Column sorting
+        this.table.querySelectorAll('th[data-sort]').forEach(th => {
+            th.addEventListener('click', () => {
+                this.setSort(th.dataset.sort);
+            });
+        });
+
+        // Pagination
+        document.getElementById('materialPrevPageBtn').addEventListener('click', () => {
+            this.changePage(-1);
+        });
+
+        document.getElementById('materialNextPageBtn').addEventListener('click', () => {
+            this.changePage(1);
+        });
+
         // Setup find material buttons
         document.getElementById('findMaterialBtn').addEventListener('click', () => {
             this.targetType = 'grill';
@@ -79,6 +189,559 @@ class MaterialDatabase {
             this.targetType = 'pergola';
             this.showModal();
         });
+
+        // Add profile button
+        document.getElementById('addMaterialBtn').addEventListener('click', () => {
+            this.showEditForm();
+        });
+
+        // Save profile form submit
+        this.editForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEditedMaterial();
+        });
+
+        // Cancel editing
+        document.getElementById('cancelMaterialEditBtn').addEventListener('click', () => {
+            this.hideEditForm();
+        });
+
+        // Shape filter
+        this.shapeFilter.addEventListener('change', () => {
+            this.searchMaterials();
+        });
+
+        // Shape-specific dimension fields
+        document.getElementById('materialEditShape').addEventListener('change', (e) => {
+            this.applyShapeToForm('materialEdit', e.target.value);
+        });
+
+        ['grill', 'pergola'].forEach(type => {
+            document.getElementById(`${type}MaterialShape`).addEventListener('change', (e) => {
+                this.applyShapeToForm(`${type}Material`, e.target.value);
+            });
+            
+            // Calculate weight from section geometry
+            document.getElementById(`${type}CalcWeightBtn`).addEventListener('click', () => {
+                this.fillWeightFromSection(type);
+            });
+            
+            // A weight typed by hand is no longer calculated
+            document.getElementById(`${type}MaterialWeight`).addEventListener('input', () => {
+                this.setWeightSource(type, 'manual');
+            });
+            
+            // A weight filled for another metal or section no longer matches the form
+            ['Metal', 'Shape', 'Width', 'Depth', 'Thickness'].forEach(field => {
+                const input = document.getElementById(`${type}Material${field}`);
+                const eventName = input.tagName === 'SELECT' ? 'change' : 'input';
+                input.addEventListener(eventName, () => {
+                    if (document.getElementById(`${type}MaterialWeight`).dataset.source !== 'manual') {
+                        this.setWeightSource(type, 'manual');
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Get the unique key of a material used for deduplication
+     * @param {Object} material - The material object
+     * @returns {string} - The material key
+     */
+    getMaterialKey(material) {
+        const shape = material.shape || this.inferShape(material);
+        return `${shape}-${material.width}-${material.depth}-${material.thickness}`;
+    }
+
+    /**
+     * Get the configuration of a section shape
+     * @param {string} shape - The shape code (RHS, SHS, ROUND, FLAT, ANGLE, CHANNEL)
+     * @returns {Object} - The shape configuration, RHS if unknown
+     */
+    getShapeConfig(shape) {
+        return SECTION_SHAPES[shape] || SECTION_SHAPES.RHS;
+    }
+
+    /**
+     * Get all supported section shapes
+     * @returns {Object} - Shape configurations keyed by shape code
+     */
+    getShapes() {
+        return SECTION_SHAPES;
+    }
+
+    /**
+     * Infer the shape of a material that was stored without one
+     * (older CSV files and saved materials only held rectangular/square sections)
+     * @param {Object} material - The material object
+     * @returns {string} - The shape code
+     */
+    inferShape(material) {
+        return material.width === material.depth ? 'SHS' : 'RHS';
+    }
+
+    /**
+     * Resolve a shape name as written in a CSV file or search term to a shape code
+     * @param {string} text - The shape text
+     * @returns {string|null} - The shape code or null if not recognised
+     */
+    parseShape(text) {
+        if (!text) return null;
+        
+        const value = text.trim().toLowerCase();
+        const match = Object.entries(SECTION_SHAPES).find(([code, config]) =>
+            code.toLowerCase() === value || config.aliases.includes(value)
+        );
+        
+        return match ? match[0] : null;
+    }
+
+    /**
+     * Format the dimensions of a material according to its shape
+     * @param {Object} material - The material object
+     * @returns {string} - Formatted dimensions (without unit)
+     */
+    formatDimensions(material) {
+        switch (material.shape) {
+            case 'SHS':
+                return `${material.width}×${material.width}×${material.thickness}`;
+            case 'ROUND':
+                return `Ø${material.width}×${material.thickness}`;
+            case 'FLAT':
+                return `${material.width}×${material.thickness}`;
+            default:
+                return `${material.width}×${material.depth}×${material.thickness}`;
+        }
+    }
+
+    /**
+     * Format a material's section for display
+     * @param {Object} material - The material
+     * @returns {string} - e.g. "SHS 12×12×1mm"
+     */
+    formatMaterialLabel(material) {
+        const shape = material.shape || this.inferShape(material);
+        return `${shape} ${this.formatDimensions({ ...material, shape })}mm`;
+    }
+
+    /**
+     * Build the material details stored on a grill or pergola quotation item
+     * @param {Object} material - The material
+     * @param {string} defaultType - The description used when the material has none
+     * @returns {Object} - Material details for the quotation
+     */
+    getQuotationDetails(material, defaultType) {
+        return {
+            type: material.description || defaultType,
+            shape: material.shape || this.inferShape(material),
+            width: material.width,
+            depth: material.depth,
+            thickness: material.thickness,
+            weight: material.weight,
+            weightUnit: material.weightUnit,
+            metal: material.metal || 'MS',
+            weightSource: material.weightSource || 'manual',
+            rate: material.rate,
+            dimensions: this.formatMaterialLabel(material)
+        };
+    }
+
+    /**
+     * Normalize a material: fill in the shape, the dimensions the shape doesn't use,
+     * and the display strings
+     * @param {Object} material - The material object
+     * @returns {Object} - The normalized material
+     */
+    normalizeMaterial(material) {
+        const shape = SECTION_SHAPES[material.shape] ? material.shape : this.inferShape(material);
+        const normalized = { ...material, shape };
+        
+        // Symmetric sections repeat the width, flats have no depth
+        if (shape === 'SHS' || shape === 'ROUND') {
+            normalized.depth = normalized.width;
+        } else if (shape === 'FLAT') {
+            normalized.depth = 0;
+        }
+        
+        // Stock availability is optional; drop empty values
+        if (!Array.isArray(normalized.stockLengths) || normalized.stockLengths.length === 0) {
+            delete normalized.stockLengths;
+        }
+        if (!Number.isInteger(normalized.onHand) || normalized.onHand < 0) {
+            delete normalized.onHand;
+        }
+        
+        normalized.dimensions = this.formatDimensions(normalized);
+        normalized.description = `${shape === 'ROUND' ? 'Pipe' : shape} ${normalized.dimensions}mm, ${normalized.weight} kg/m`;
+        
+        return normalized;
+    }
+
+    /**
+     * Parse a list of stock lengths such as "5800; 6400" or "6000|6400"
+     * @param {string} text - Lengths in mm separated by ;, |, / or spaces
+     * @returns {Array} - Unique positive lengths in mm, shortest first
+     */
+    parseStockLengths(text) {
+        if (!text) return [];
+        
+        const lengths = String(text)
+            .split(/[;|/\s,]+/)
+            .map(value => Math.round(parseFloat(value)))
+            .filter(value => value > 0);
+        
+        return [...new Set(lengths)].sort((a, b) => a - b);
+    }
+
+    /**
+     * Get the stock lengths and on-hand count recorded for a profile in the catalogue
+     * @param {Object} material - The material with shape and dimensions
+     * @returns {Object|null} - { stockLengths, onHand } or null if the catalogue has neither
+     */
+    getStockInfo(material) {
+        const shape = material.shape || this.inferShape(material);
+        const profile = this.findMaterialByDimensions(material.width, material.depth, material.thickness, shape);
+        
+        if (!profile || (!profile.stockLengths && profile.onHand === undefined)) {
+            return null;
+        }
+        
+        return {
+            stockLengths: profile.stockLengths || [],
+            onHand: profile.onHand
+        };
+    }
+
+    /**
+     * Calculate the cross-sectional area of a section from its geometry.
+     * Corner radii are ignored, which slightly overestimates hollow sections.
+     * @param {Object} material - The material with shape, width, depth and thickness in mm
+     * @returns {number} - The area in mm²
+     */
+    calculateSectionArea(material) {
+        const { width, thickness } = material;
+        const depth = material.depth || width;
+        
+        switch (material.shape) {
+            case 'ROUND':
+                // Pipe wall: π × t × (OD - t)
+                return Math.PI * thickness * (width - thickness);
+            case 'FLAT':
+                return width * thickness;
+            case 'ANGLE':
+                // Two legs sharing the corner square
+                return thickness * (width + depth - thickness);
+            case 'CHANNEL':
+                // Web plus two flanges sharing the corner squares
+                return thickness * (width + 2 * depth - 2 * thickness);
+            default:
+                // RHS/SHS: outer rectangle minus inner rectangle
+                return width * depth - Math.max(width - 2 * thickness, 0) * Math.max(depth - 2 * thickness, 0);
+        }
+    }
+
+    /**
+     * Calculate the painted perimeter of a section, i.e. the surface per unit length.
+     * Hollow sections count the outside only; open sections count both faces.
+     * @param {Object} material - The material with shape, width, depth and thickness in mm
+     * @returns {number} - The perimeter in mm
+     */
+    calculatePerimeter(material) {
+        const width = material.width || 0;
+        const thickness = material.thickness || 0;
+        const depth = material.depth || width;
+        
+        switch (material.shape) {
+            case 'ROUND':
+                return Math.PI * width;
+            case 'FLAT':
+                return 2 * (width + thickness);
+            case 'ANGLE':
+                // Outside and inside faces of both legs
+                return 2 * (width + depth);
+            case 'CHANNEL':
+                // Outside and inside faces of the web and both flanges
+                return 2 * (width + 2 * depth) - 2 * thickness;
+            default:
+                return 2 * (width + depth);
+        }
+    }
+
+    /**
+     * Calculate the second moment of area and section modulus about the strong axis,
+     * with the larger dimension of a hollow section and the web of an angle or channel vertical.
+     * Corner radii are ignored.
+     * @param {Object} material - The material with shape, width, depth and thickness in mm
+     * @returns {Object} - Object with inertia (mm⁴) and modulus (mm³)
+     */
+    calculateSectionProperties(material) {
+        const width = material.width || 0;
+        const thickness = material.thickness || 0;
+        const depth = material.depth || width;
+        let inertia;
+        let extremeFibre;
+        
+        switch (material.shape) {
+            case 'ROUND': {
+                const inner = Math.max(width - 2 * thickness, 0);
+                inertia = Math.PI * (Math.pow(width, 4) - Math.pow(inner, 4)) / 64;
+                extremeFibre = width / 2;
+                break;
+            }
+            case 'FLAT':
+                // Flat bar standing on edge
+                inertia = thickness * Math.pow(width, 3) / 12;
+                extremeFibre = width / 2;
+                break;
+            case 'ANGLE': {
+                // Leg A vertical, leg B horizontal along the bottom; axis through the centroid
+                const verticalArea = thickness * width;
+                const horizontalArea = Math.max(depth - thickness, 0) * thickness;
+                const centroid = (verticalArea * width / 2 + horizontalArea * thickness / 2) / (verticalArea + horizontalArea);
+                inertia = thickness * Math.pow(width, 3) / 12 + verticalArea * Math.pow(width / 2 - centroid, 2) +
+                    Math.max(depth - thickness, 0) * Math.pow(thickness, 3) / 12 + horizontalArea * Math.pow(thickness / 2 - centroid, 2);
+                extremeFibre = Math.max(centroid, width - centroid);
+                break;
+            }
+            case 'CHANNEL':
+                // Web vertical, flanges to one side
+                inertia = (depth * Math.pow(width, 3) - Math.max(depth - thickness, 0) * Math.pow(Math.max(width - 2 * thickness, 0), 3)) / 12;
+                extremeFibre = width / 2;
+                break;
+            default: {
+                // RHS/SHS with the larger side vertical
+                const height = Math.max(width, depth);
+                const breadth = Math.min(width, depth);
+                inertia = (breadth * Math.pow(height, 3) -
+                    Math.max(breadth - 2 * thickness, 0) * Math.pow(Math.max(height - 2 * thickness, 0), 3)) / 12;
+                extremeFibre = height / 2;
+            }
+        }
+        
+        return {
+            inertia,
+            modulus: extremeFibre > 0 ? inertia / extremeFibre : 0
+        };
+    }
+
+    /**
+     * Calculate the recommended maximum unsupported span of a simply supported member
+     * under a uniform load, limited by bending stress and by deflection
+     * @param {Object} material - The material with shape, dimensions in mm and metal
+     * @param {number} load - The uniform load in kN/m (N/mm)
+     * @param {number} deflectionLimit - Allowed deflection as span / limit
+     * @returns {number|null} - The span in mm, rounded down to 10 mm, or null if the section is incomplete
+     */
+    calculateMaxSpan(material, load, deflectionLimit = SPAN_DEFLECTION_LIMIT) {
+        const { inertia, modulus } = this.calculateSectionProperties({
+            ...material,
+            shape: material.shape || this.inferShape(material)
+        });
+        if (!inertia || !modulus || !load) return null;
+        
+        const metal = METAL_DENSITIES[material.metal] || METAL_DENSITIES.MS;
+        
+        // Bending: wL²/8 = σZ
+        const bendingSpan = Math.sqrt(8 * metal.allowableStress * modulus / load);
+        
+        // Deflection: 5wL⁴/(384EI) = L/limit
+        const deflectionSpan = Math.cbrt(384 * metal.modulus * inertia / (5 * load * deflectionLimit));
+        
+        return Math.floor(Math.min(bendingSpan, deflectionSpan) / 10) * 10;
+    }
+
+    /**
+     * Calculate weight per metre from section geometry and metal density
+     * @param {Object} material - The material with shape and dimensions in mm
+     * @param {string} metal - The metal grade (MS, GI, SS304, AL)
+     * @returns {number} - Weight in kg/m
+     */
+    calculateWeightPerMeter(material, metal = 'MS') {
+        const density = (METAL_DENSITIES[metal] || METAL_DENSITIES.MS).density;
+        
+        // mm² × kg/m³ → kg/m
+        const weight = this.calculateSectionArea(material) * density / 1000000;
+        
+        return utils.roundToDecimals(weight, 3);
+    }
+
+    /**
+     * Get all metal grades
+     * @returns {Object} - Metal grades keyed by code
+     */
+    getMetals() {
+        return METAL_DENSITIES;
+    }
+
+    /**
+     * Fill a product's weight field from the catalogue, or from the section geometry
+     * when the profile isn't in the catalogue or a non-steel metal is chosen
+     * @param {string} type - The product type ('grill' or 'pergola')
+     */
+    fillWeightFromSection(type) {
+        const prefix = `${type}Material`;
+        const metal = document.getElementById(`${prefix}Metal`).value;
+        const material = this.normalizeMaterial({
+            shape: document.getElementById(`${prefix}Shape`).value,
+            width: parseFloat(document.getElementById(`${prefix}Width`).value),
+            depth: parseFloat(document.getElementById(`${prefix}Depth`).value),
+            thickness: parseFloat(document.getElementById(`${prefix}Thickness`).value)
+        });
+        
+        // Validate the dimensions the shape uses
+        if (this.getShapeConfig(material.shape).fields.some(field => !material[field])) {
+            utils.showNotification('Please enter the section dimensions first', true);
+            return;
+        }
+        
+        // Catalogue weights are for steel, so only use them for MS/GI
+        const catalogueMatch = METAL_DENSITIES[metal].density === METAL_DENSITIES.MS.density
+            ? this.findMaterialByDimensions(material.width, material.depth, material.thickness, material.shape)
+            : null;
+        
+        let weightPerMeter;
+        if (catalogueMatch) {
+            weightPerMeter = catalogueMatch.weight;
+            this.setWeightSource(type, 'catalogue');
+        } else {
+            weightPerMeter = this.calculateWeightPerMeter(material, metal);
+            this.setWeightSource(type, 'calculated', metal);
+        }
+        
+        // Convert to the weight unit selected in the form
+        const weightUnit = document.getElementById(`${type}WeightUnit`).value;
+        if (weightUnit === 'kg/pcs') {
+            utils.showNotification('Weight per piece cannot be calculated, switch to kg/m or kg/ft', true);
+            this.setWeightSource(type, 'manual');
+            return;
+        }
+        
+        const weight = weightUnit === 'kg/ft' ? weightPerMeter * utils.convertLength(1, 'ft', 'm') : weightPerMeter;
+        document.getElementById(`${prefix}Weight`).value = utils.roundToDecimals(weight, 2);
+    }
+
+    /**
+     * Record where a product's weight value came from and show it next to the field
+     * @param {string} type - The product type ('grill' or 'pergola')
+     * @param {string} source - 'catalogue', 'calculated' or 'manual'
+     * @param {string} metal - The metal grade used for a calculated weight
+     */
+    setWeightSource(type, source, metal = null) {
+        const weightInput = document.getElementById(`${type}MaterialWeight`);
+        const marker = document.getElementById(`${type}WeightSource`);
+        
+        weightInput.dataset.source = source;
+        
+        if (source === 'calculated') {
+            const grade = METAL_DENSITIES[metal] || METAL_DENSITIES.MS;
+            marker.textContent = `Calculated from section (${grade.name}, ${grade.density} kg/m³)`;
+            marker.className = 'weight-source calculated';
+        } else if (source === 'catalogue') {
+            marker.textContent = 'From catalogue';
+            marker.className = 'weight-source';
+        } else {
+            marker.textContent = '';
+            marker.className = 'weight-source';
+        }
+    }
+
+    /**
+     * Show or hide the dimension inputs of a form and relabel them for a shape
+     * @param {string} prefix - The input ID prefix (e.g. 'grillMaterial', 'materialEdit')
+     * @param {string} shape - The shape code
+     */
+    applyShapeToForm(prefix, shape) {
+        const config = this.getShapeConfig(shape);
+        
+        ['width', 'depth', 'thickness'].forEach(field => {
+            const input = document.getElementById(`${prefix}${field.charAt(0).toUpperCase()}${field.slice(1)}`);
+            if (!input) return;
+            
+            const used = config.fields.includes(field);
+            const group = input.closest('.form-group');
+            const label = group ? group.querySelector('label') : null;
+            
+            if (group) group.style.display = used ? '' : 'none';
+            if (label && used) label.textContent = `${config.labels[field]} (mm)`;
+            input.required = used;
+        });
+    }
+
+    /**
+     * Fill a metal select element with the supported metal grades
+     * @param {HTMLSelectElement} select - The select element
+     */
+    populateMetalSelect(select) {
+        if (!select) return;
+        
+        select.innerHTML = '';
+        Object.entries(METAL_DENSITIES).forEach(([code, grade]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = grade.name;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Fill a shape select element with the supported shapes
+     * @param {HTMLSelectElement} select - The select element
+     * @param {boolean} includeAll - Whether to add an 'All shapes' option
+     */
+    populateShapeSelect(select, includeAll = false) {
+        if (!select) return;
+        
+        select.innerHTML = includeAll ? '<option value="">All shapes</option>' : '';
+        Object.entries(SECTION_SHAPES).forEach(([code, config]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.textContent = `${code} - ${config.name}`;
+            select.appendChild(option);
+        });
+    }
+
+    /**
+     * Render the materials assigned to member types of a grill or pergola
+     * @param {HTMLElement} container - The element to render the list into
+     * @param {Object} memberMaterials - Materials keyed by member type
+     * @param {Function} onRemove - Called with the member type when its material is removed
+     */
+    renderMemberMaterials(container, memberMaterials, onRemove) {
+        container.innerHTML = '';
+        
+        Object.entries(memberMaterials).forEach(([itemType, material]) => {
+            const entry = document.createElement('div');
+            entry.className = 'member-material';
+            entry.innerHTML = `
+                <span><strong>${itemType}:</strong> ${this.formatMaterialLabel(material)}, ${material.weight} ${material.weightUnit} @ ₹${utils.formatCurrency(material.rate)}/kg</span>
+                <button type="button" class="delete-btn" title="Use default material">
+                    <i class="fas fa-times"></i>
+                </button>
+            `;
+            
+            entry.querySelector('.delete-btn').addEventListener('click', () => {
+                onRemove(itemType);
+            });
+            
+            container.appendChild(entry);
+        });
+    }
+
+    /**
+     * Sort materials by dimensions for better organization
+     */
+    sortMaterials() {
+        this.materials.sort((a, b) => {
+            // Group by shape first
+            if (a.shape !== b.shape) return a.shape.localeCompare(b.shape);
+            // Primary sort by width
+            if (a.width !== b.width) return a.width - b.width;
+            // Secondary sort by depth
+            if (a.depth !== b.depth) return a.depth - b.depth;
+            // Tertiary sort by thickness
+            return a.thickness - b.thickness;
+        });
     }
 
     /**
@@ -114,8 +777,7 @@ class MaterialDatabase {
                             
                             // First add all existing materials to the map
                             this.materials.forEach(material => {
-                                const key = `${material.width}-${material.depth}-${material.thickness}`;
-                                materialsMap.set(key, material);
+                                materialsMap.set(this.getMaterialKey(material), material);
                             });
                             
                             // Process CSV materials, overwriting duplicates (CSV takes precedence)
@@ -123,37 +785,27 @@ class MaterialDatabase {
                             csvMaterials.forEach(material => {
                                 if (!material) return; // Skip invalid entries
                                 
-                                const key = `${material.width}-${material.depth}-${material.thickness}`;
-                                
-                                // Format material properties
-                                material.dimensions = `${material.width}×${material.depth}×${material.thickness}`;
-                                material.description = `RHS ${material.width}×${material.depth}×${material.thickness}mm, ${material.weight} kg/m`;
-                                
                                 // Add to map (overwrites if key exists)
-                                materialsMap.set(key, material);
+                                materialsMap.set(this.getMaterialKey(material), material);
                             });
                             
                             // Convert map back to array
                             this.materials = Array.from(materialsMap.values());
                             
-                            // Sort materials by dimensions for better organization
-                            this.materials.sort((a, b) => {
-                                // Primary sort by width
-                                if (a.width !== b.width) return a.width - b.width;
-                                // Secondary sort by depth
-                                if (a.depth !== b.depth) return a.depth - b.depth;
-                                // Tertiary sort by thickness
-                                return a.thickness - b.thickness;
-                            });
-                            
                             console.log(`Final material database has ${this.materials.length} unique items`);
                         } catch (parseError) {
                             console.error('Error parsing CSV data:', parseError);
                         }
+                        
+                        // Keep the stock list and merge user-maintained profiles over it
+                        this.stockMaterials = this.materials;
+                        this.applyCustomMaterials();
                         resolve(this.materials);
                     })
                     .catch(fetchError => {
                         console.log('Error loading CSV with relative path:', fetchError);
+                        this.stockMaterials = this.materials;
+                        this.applyCustomMaterials();
                         resolve(this.materials); // Resolve with the embedded data
                     });
             };
@@ -258,28 +910,61 @@ class MaterialDatabase {
             { width: 250, depth: 150, thickness: 6.0, weight: 35.5 },
             { width: 300, depth: 200, thickness: 6.0, weight: 44.8 },
             { width: 400, depth: 200, thickness: 8.0, weight: 70.6 },
-            { width: 500, depth: 300, thickness: 10.0, weight: 118 }
+            { width: 500, depth: 300, thickness: 10.0, weight: 118 },
+            
+            // Round pipes (outer diameter × wall thickness)
+            { shape: 'ROUND', width: 21.3, thickness: 2.0, weight: 0.95 },
+            { shape: 'ROUND', width: 26.9, thickness: 2.3, weight: 1.40 },
+            { shape: 'ROUND', width: 33.7, thickness: 2.6, weight: 1.99 },
+            { shape: 'ROUND', width: 42.4, thickness: 2.6, weight: 2.55 },
+            { shape: 'ROUND', width: 48.3, thickness: 2.9, weight: 3.25 },
+            
+            // Flat bars (width × thickness)
+            { shape: 'FLAT', width: 20, thickness: 3, weight: 0.47 },
+            { shape: 'FLAT', width: 25, thickness: 3, weight: 0.59 },
+            { shape: 'FLAT', width: 25, thickness: 5, weight: 0.98 },
+            { shape: 'FLAT', width: 32, thickness: 5, weight: 1.26 },
+            { shape: 'FLAT', width: 40, thickness: 5, weight: 1.57 },
+            { shape: 'FLAT', width: 50, thickness: 6, weight: 2.36 },
+            
+            // Equal angles (leg × leg × thickness)
+            { shape: 'ANGLE', width: 25, depth: 25, thickness: 3, weight: 1.11 },
+            { shape: 'ANGLE', width: 35, depth: 35, thickness: 5, weight: 2.57 },
+            { shape: 'ANGLE', width: 40, depth: 40, thickness: 5, weight: 2.97 },
+            { shape: 'ANGLE', width: 50, depth: 50, thickness: 6, weight: 4.47 },
+            
+            // Channels (web height × flange width × thickness)
+            { shape: 'CHANNEL', width: 75, depth: 40, thickness: 4.4, weight: 7.14 },
+            { shape: 'CHANNEL', width: 100, depth: 50, thickness: 5.0, weight: 9.56 }
         ];
         
         // Process sample data
-        this.materials = sampleData.map(item => ({
-            width: item.width,
-            depth: item.depth,
-            thickness: item.thickness,
-            weight: item.weight,
-            dimensions: `${item.width}×${item.depth}×${item.thickness}`,
-            description: `RHS ${item.width}×${item.depth}×${item.thickness}mm, ${item.weight} kg/m`
-        }));
+        this.materials = sampleData.map(item => this.normalizeMaterial(item));
     }
 
     /**
-     * Parse CSV text into an array of material objects
+     * Parse CSV text into an array of material objects.
+     * Columns are matched by header name: Shape (optional), Width (or Diameter),
+     * Depth (optional for SHS, round and flat), Thickness and Weight (kg/m),
+     * plus optional Stock Lengths (mm, separated by ; or |) and On Hand (bar count).
      * @param {string} csvText - The CSV text to parse
      * @returns {Array} - Array of material objects
      */
     parseCSV(csvText) {
         const lines = csvText.split('\n');
-        const headers = lines[0].split(',');
+        const headers = lines[0].split(',').map(header => header.trim().toLowerCase());
+        
+        // Find the column of each field by its header
+        const findColumn = (...names) => headers.findIndex(header => names.some(name => header.startsWith(name)));
+        const columns = {
+            shape: findColumn('shape'),
+            width: findColumn('width', 'diameter', 'od'),
+            depth: findColumn('depth'),
+            thickness: findColumn('thickness'),
+            weight: findColumn('weight'),
+            stockLengths: findColumn('stock'),
+            onHand: findColumn('on hand', 'onhand')
+        };
 
         return lines.slice(1).map(line => {
             if (!line.trim()) return null; // Skip empty lines
@@ -288,22 +973,242 @@ class MaterialDatabase {
             if (values.length !== headers.length) return null; // Skip invalid lines
 
             const material = {
-                width: parseFloat(values[0]),
-                depth: parseFloat(values[1]),
-                thickness: parseFloat(values[2]),
-                weight: parseFloat(values[3])
+                width: parseFloat(values[columns.width]),
+                depth: columns.depth !== -1 ? parseFloat(values[columns.depth]) : NaN,
+                thickness: parseFloat(values[columns.thickness]),
+                weight: parseFloat(values[columns.weight])
             };
+            
+            const shape = columns.shape !== -1 ? this.parseShape(values[columns.shape]) : null;
+            if (shape) {
+                material.shape = shape;
+            }
+            
+            // Stock availability is optional
+            if (columns.stockLengths !== -1) {
+                material.stockLengths = this.parseStockLengths(values[columns.stockLengths]);
+            }
+            if (columns.onHand !== -1 && values[columns.onHand].trim() !== '') {
+                material.onHand = parseInt(values[columns.onHand]);
+            }
+
+            // Depth is only required for shapes that use it
+            const depthRequired = this.getShapeConfig(shape || 'RHS').fields.includes('depth');
 
             // Skip entries with invalid values
-            if (isNaN(material.width) || isNaN(material.depth) || 
+            if (isNaN(material.width) || (depthRequired && isNaN(material.depth)) || 
                 isNaN(material.thickness) || isNaN(material.weight)) {
                 return null;
             }
 
-            return material;
+            return this.normalizeMaterial(material);
         }).filter(item => item !== null); // Remove null entries
     }
 
+    /**
+     * Load user-maintained profiles from localStorage
+     */
+    loadCustomMaterials() {
+        this.customMaterials = utils.loadFromLocalStorage('customMaterials') || [];
+    }
+
+    /**
+     * Save user-maintained profiles to localStorage
+     */
+    saveCustomMaterials() {
+        utils.saveToLocalStorage('customMaterials', this.customMaterials);
+    }
+
+    /**
+     * Merge user-maintained profiles over the stock materials.
+     * Entries overriding a stock key are flagged 'edited', new keys 'custom',
+     * and deleted stock entries are removed from the list.
+     */
+    applyCustomMaterials() {
+        // Remember which keys come from the stock list before merging
+        this.stockKeys = new Set(this.stockMaterials.map(material => this.getMaterialKey(material)));
+        
+        const materialsMap = new Map();
+        this.stockMaterials.forEach(material => {
+            material.source = 'stock';
+            materialsMap.set(this.getMaterialKey(material), material);
+        });
+        
+        this.customMaterials.forEach(custom => {
+            const key = this.getMaterialKey(this.normalizeMaterial(custom));
+            
+            if (custom.deleted) {
+                materialsMap.delete(key);
+                return;
+            }
+            
+            materialsMap.set(key, {
+                ...this.normalizeMaterial(custom),
+                source: this.stockKeys.has(key) ? 'edited' : 'custom'
+            });
+        });
+        
+        this.materials = Array.from(materialsMap.values());
+        this.sortMaterials();
+    }
+
+    /**
+     * Show the add/edit profile form
+     * @param {Object} material - The material to edit, or nothing to add a new profile
+     */
+    showEditForm(material = null) {
+        this.editingMaterial = material;
+        
+        const shape = material ? material.shape : (this.shapeFilter.value || 'RHS');
+        
+        document.getElementById('materialEditTitle').textContent = material ? 'Edit Profile' : 'Add Profile';
+        document.getElementById('materialEditShape').value = shape;
+        this.applyShapeToForm('materialEdit', shape);
+        document.getElementById('materialEditWidth').value = material ? material.width : '';
+        document.getElementById('materialEditDepth').value = material ? material.depth : '';
+        document.getElementById('materialEditThickness').value = material ? material.thickness : '';
+        document.getElementById('materialEditWeight').value = material ? material.weight : '';
+        document.getElementById('materialEditStockLengths').value = material && material.stockLengths ? material.stockLengths.join('; ') : '';
+        document.getElementById('materialEditOnHand').value = material && material.onHand !== undefined ? material.onHand : '';
+        
+        this.editForm.style.display = 'block';
+        document.getElementById('materialEditWidth').focus();
+    }
+
+    /**
+     * Hide the add/edit profile form
+     */
+    hideEditForm() {
+        this.editingMaterial = null;
+        this.editForm.reset();
+        this.editForm.style.display = 'none';
+    }
+
+    /**
+     * Save the profile from the add/edit form
+     */
+    saveEditedMaterial() {
+        const shape = document.getElementById('materialEditShape').value;
+        const material = {
+            shape,
+            width: parseFloat(document.getElementById('materialEditWidth').value),
+            depth: parseFloat(document.getElementById('materialEditDepth').value),
+            thickness: parseFloat(document.getElementById('materialEditThickness').value),
+            weight: parseFloat(document.getElementById('materialEditWeight').value),
+            stockLengths: this.parseStockLengths(document.getElementById('materialEditStockLengths').value),
+            onHand: parseInt(document.getElementById('materialEditOnHand').value)
+        };
+        
+        // Validate only the dimensions the shape uses
+        const requiredFields = [...this.getShapeConfig(shape).fields, 'weight'];
+        if (requiredFields.some(field => !material[field])) {
+            utils.showNotification('Please fill all profile fields', true);
+            return;
+        }
+        
+        const key = this.getMaterialKey(this.normalizeMaterial(material));
+        
+        // If the dimensions were changed, the old profile is replaced
+        if (this.editingMaterial && this.getMaterialKey(this.editingMaterial) !== key) {
+            this.removeCustomEntry(this.editingMaterial);
+        }
+        
+        // Replace any previous custom entry (or deletion marker) for the same key
+        this.customMaterials = this.customMaterials.filter(custom => this.getMaterialKey(this.normalizeMaterial(custom)) !== key);
+        this.customMaterials.push(this.normalizeMaterial(material));
+        
+        this.saveCustomMaterials();
+        this.refreshMaterials();
+        this.hideEditForm();
+    }
+
+    /**
+     * Delete a profile from the catalogue
+     * @param {Object} material - The material to delete
+     */
+    deleteMaterial(material) {
+        if (!confirm(`Delete profile ${material.shape} ${material.dimensions}mm?`)) {
+            return;
+        }
+        
+        this.removeCustomEntry(material);
+        this.saveCustomMaterials();
+        this.refreshMaterials();
+    }
+
+    /**
+     * Import profiles into the catalogue as custom entries
+     * @param {Array} materials - Normalized materials to import
+     * @param {string} mode - 'merge' adds them to the catalogue, 'replace' makes them the whole catalogue
+     * @param {boolean} overwrite - In merge mode, whether imported rows replace existing profiles with the same key
+     * @returns {number} - Number of profiles added or changed
+     */
+    importMaterials(materials, mode = 'merge', overwrite = true) {
+        const existing = new Map(this.materials.map(material => [this.getMaterialKey(material), material]));
+        const importedKeys = new Set(materials.map(material => this.getMaterialKey(material)));
+        
+        if (mode === 'replace') {
+            // Start from the stock list and remove every profile the import doesn't contain
+            this.customMaterials = [];
+            this.stockMaterials
+                .filter(material => !importedKeys.has(this.getMaterialKey(material)))
+                .forEach(material => this.removeCustomEntry(material));
+        }
+        
+        const customByKey = new Map(this.customMaterials.map(custom => [this.getMaterialKey(this.normalizeMaterial(custom)), custom]));
+        let count = 0;
+        
+        materials.forEach(material => {
+            const key = this.getMaterialKey(material);
+            const current = mode === 'replace'
+                ? this.stockMaterials.find(stock => this.getMaterialKey(stock) === key)
+                : existing.get(key);
+            
+            // Unchanged profiles stay as they are, and existing ones are kept unless overwriting
+            if (current && Math.abs(current.weight - material.weight) < 0.001) return;
+            if (current && mode === 'merge' && !overwrite) return;
+            
+            const { source, ...entry } = material;
+            customByKey.set(key, entry);
+            count++;
+        });
+        
+        this.customMaterials = Array.from(customByKey.values());
+        this.saveCustomMaterials();
+        this.refreshMaterials();
+        
+        return count;
+    }
+
+    /**
+     * Remove a profile from the custom list, marking stock profiles as deleted
+     * @param {Object} material - The material to remove
+     */
+    removeCustomEntry(material) {
+        const key = this.getMaterialKey(material);
+        
+        this.customMaterials = this.customMaterials.filter(custom => this.getMaterialKey(this.normalizeMaterial(custom)) !== key);
+        
+        // Stock profiles can't be removed from the CSV, so keep a deletion marker instead
+        if (this.stockKeys.has(key)) {
+            this.customMaterials.push({
+                shape: material.shape,
+                width: material.width,
+                depth: material.depth,
+                thickness: material.thickness,
+                deleted: true
+            });
+        }
+    }
+
+    /**
+     * Re-apply custom profiles after a change and refresh the table
+     */
+    refreshMaterials() {
+        this.applyCustomMaterials();
+        this.searchMaterials();
+    }
+
     /**
      * Show the material database modal
      */
@@ -316,8 +1221,8 @@ class MaterialDatabase {
         // Clear previous selection
         this.selectedMaterial = null;
         
-        // Populate table with all materials
-        this.populateTable(this.materials);
+        // Populate table with all materials matching the current filters
+        this.searchMaterials();
         
         // Show modal
         this.modal.style.display = 'block';
@@ -328,44 +1233,215 @@ class MaterialDatabase {
      * Hide the material database modal
      */
     hideModal() {
+        this.hideEditForm();
+        window.rateBook.hidePanel();
+        window.materialImport.hidePanel();
         this.modal.style.display = 'none';
     }
 
     /**
-     * Search materials based on input
+     * Search materials based on input.
+     * Numbers are matched in order against the dimensions the shape displays
+     * (e.g. "40 20 2" is width 40, depth 20, thickness 2), and the range
+     * filters further restrict the results.
      */
     searchMaterials() {
         const searchTerm = this.searchInput.value.trim().toLowerCase();
         
-        if (!searchTerm) {
-            // If search term is empty, show all materials
-            this.populateTable(this.materials);
-            return;
+        // Restrict to the selected shape, if any
+        let candidates = this.shapeFilter && this.shapeFilter.value
+            ? this.materials.filter(material => material.shape === this.shapeFilter.value)
+            : this.materials;
+        
+        // Split search terms by spaces, x symbol or diameter sign
+        const rawTerms = searchTerm.split(/[\s×xø]+/).filter(term => term);
+        
+        // Words naming a shape (e.g. "pipe", "flat", "shs") narrow the results to that shape
+        const shapes = rawTerms.map(term => this.parseShape(term)).filter(shape => shape);
+        if (shapes.length > 0) {
+            candidates = candidates.filter(material => shapes.includes(material.shape));
         }
         
-        // Split search terms by spaces or x symbol
-        const terms = searchTerm.split(/[\s×x]+/).map(term => parseFloat(term)).filter(term => !isNaN(term));
+        const terms = rawTerms.map(term => parseFloat(term)).filter(term => !isNaN(term));
+        const ranges = this.getRangeFilters();
         
-        if (terms.length === 0) {
-            // If no valid numeric terms, show all materials
-            this.populateTable(this.materials);
-            return;
+        this.searchResults = candidates.filter(material =>
+            this.matchesDimensionTerms(material, terms) && this.matchesRanges(material, ranges)
+        );
+        
+        // New results start from the first page
+        this.currentPage = 1;
+        this.renderResults();
+    }
+
+    /**
+     * Check whether numeric search terms match a material's dimensions in order
+     * @param {Object} material - The material to check
+     * @param {Array} terms - Numbers in the order typed
+     * @returns {boolean} - True if every term matches the dimension in its position
+     */
+    matchesDimensionTerms(material, terms) {
+        if (terms.length === 0) return true;
+        
+        // Dimensions in the order the shape displays them
+        const sequences = [this.getShapeConfig(material.shape).fields.map(field => material[field])];
+        
+        // Square sections are also written with both sides, e.g. "40 40 2"
+        if (material.shape === 'SHS') {
+            sequences.push([material.width, material.depth, material.thickness]);
         }
         
-        // Find materials that match any of the search terms (fuzzy search)
-        const results = this.materials.filter(material => {
-            // Convert material dimensions to array for easier comparison
-            const dimensions = [material.width, material.depth, material.thickness];
+        return sequences.some(dimensions =>
+            terms.length <= dimensions.length &&
+            terms.every((term, index) => Math.abs(dimensions[index] - term) < 0.1) // Allow small tolerance for floating point comparison
+        );
+    }
+
+    /**
+     * Read the range filter inputs of the modal
+     * @returns {Object} - { field: { min, max } } for the filled-in ranges
+     */
+    getRangeFilters() {
+        const ranges = {};
+        
+        ['Width', 'Thickness', 'Weight'].forEach(name => {
+            const min = parseFloat(document.getElementById(`material${name}Min`).value);
+            const max = parseFloat(document.getElementById(`material${name}Max`).value);
             
-            // Check if any term matches any dimension (with some tolerance)
-            return terms.some(term => 
-                dimensions.some(dimension => 
-                    Math.abs(dimension - term) < 0.1 // Allow small tolerance for floating point comparison
-                )
-            );
+            if (!isNaN(min) || !isNaN(max)) {
+                ranges[name.toLowerCase()] = {
+                    min: isNaN(min) ? -Infinity : min,
+                    max: isNaN(max) ? Infinity : max
+                };
+            }
+        });
+        
+        return ranges;
+    }
+
+    /**
+     * Check whether a material falls inside the range filters
+     * @param {Object} material - The material to check
+     * @param {Object} ranges - Ranges from getRangeFilters
+     * @returns {boolean} - True if every range contains the material's value
+     */
+    matchesRanges(material, ranges) {
+        return Object.entries(ranges).every(([field, range]) =>
+            material[field] >= range.min && material[field] <= range.max
+        );
+    }
+
+    /**
+     * Clear the range filter inputs and search again
+     */
+    clearRangeFilters() {
+        ['Width', 'Thickness', 'Weight'].forEach(name => {
+            document.getElementById(`material${name}Min`).value = '';
+            document.getElementById(`material${name}Max`).value = '';
         });
         
-        this.populateTable(results);
+        this.searchMaterials();
+    }
+
+    /**
+     * Sort the results by a column, toggling the direction when it is already sorted by it
+     * @param {string} column - The column key (shape, width, depth, thickness, weight, rate, source)
+     */
+    setSort(column) {
+        if (this.sortColumn === column) {
+            this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+            this.sortColumn = column;
+            this.sortDirection = 'asc';
+        }
+        
+        this.currentPage = 1;
+        this.renderResults();
+    }
+
+    /**
+     * Get the value of a material used to sort by a column
+     * @param {Object} material - The material
+     * @param {string} column - The column key
+     * @param {string} metal - The metal grade used for rates
+     * @returns {number|string} - The sort value
+     */
+    getSortValue(material, column, metal) {
+        if (column === 'rate') {
+            const rateEntry = window.rateBook.getRate(material, metal);
+            return rateEntry ? rateEntry.rate : Infinity;
+        }
+        
+        if (column === 'beamSpan' || column === 'rafterSpan') {
+            return this.getRecommendedSpan(material, column === 'beamSpan' ? 'Beam' : 'Rafter', metal) || 0;
+        }
+        
+        return material[column];
+    }
+
+    /**
+     * Get the recommended pergola span of a profile used as a beam or rafter,
+     * with the loads and deflection limit of the pergola span check
+     * @param {Object} material - The material
+     * @param {string} itemType - 'Beam' or 'Rafter'
+     * @param {string} metal - The metal grade
+     * @returns {number|null} - The span in mm, or null if the section can't be checked
+     */
+    getRecommendedSpan(material, itemType, metal) {
+        if (!SPAN_LOADS[itemType]) return null;
+        
+        return this.calculateMaxSpan({ ...material, metal }, SPAN_LOADS[itemType], SPAN_DEFLECTION_LIMIT);
+    }
+
+    /**
+     * Change the results page
+     * @param {number} delta - Number of pages to move (negative for previous)
+     */
+    changePage(delta) {
+        this.currentPage += delta;
+        this.renderResults();
+    }
+
+    /**
+     * Sort and paginate the search results and show the current page
+     */
+    renderResults() {
+        let results = this.searchResults;
+        
+        // Sort by the chosen column; the catalogue order is the default
+        if (this.sortColumn) {
+            const metal = this.getTargetMetal();
+            const direction = this.sortDirection === 'asc' ? 1 : -1;
+            
+            results = [...results].sort((a, b) => {
+                const valueA = this.getSortValue(a, this.sortColumn, metal);
+                const valueB = this.getSortValue(b, this.sortColumn, metal);
+                
+                if (typeof valueA === 'string') {
+                    return valueA.localeCompare(valueB) * direction;
+                }
+                return (valueA - valueB) * direction || 0;
+            });
+        }
+        
+        // Mark the sorted column header
+        this.table.querySelectorAll('th[data-sort]').forEach(th => {
+            th.classList.toggle('sorted-asc', th.dataset.sort === this.sortColumn && this.sortDirection === 'asc');
+            th.classList.toggle('sorted-desc', th.dataset.sort === this.sortColumn && this.sortDirection === 'desc');
+        });
+        
+        // Keep the page inside the available range
+        const totalPages = Math.max(1, Math.ceil(results.length / this.pageSize));
+        this.currentPage = Math.min(Math.max(this.currentPage, 1), totalPages);
+        
+        const start = (this.currentPage - 1) * this.pageSize;
+        this.populateTable(results.slice(start, start + this.pageSize));
+        
+        // Update pagination controls
+        document.getElementById('materialPageInfo').textContent =
+            `Page ${this.currentPage} of ${totalPages} (${results.length} profiles)`;
+        document.getElementById('materialPrevPageBtn').disabled = this.currentPage <= 1;
+        document.getElementById('materialNextPageBtn').disabled = this.currentPage >= totalPages;
     }
 
     /**
@@ -378,19 +1454,66 @@ class MaterialDatabase {
         
         if (materials.length === 0) {
             const row = document.createElement('tr');
-            row.innerHTML = `<td colspan="5">No materials found</td>`;
+            row.innerHTML = `<td colspan="11">No materials found</td>`;
             tbody.appendChild(row);
             return;
         }
         
+        const metal = this.getTargetMetal();
+        
         materials.forEach(material => {
+            // Flag custom and edited entries so they stand out from the stock list
+            let sourceLabel = 'Stock';
+            if (material.source === 'custom') {
+                sourceLabel = '<span class="material-badge custom">Custom</span>';
+            } else if (material.source === 'edited') {
+                sourceLabel = '<span class="material-badge edited">Edited</span>';
+            }
+            
+            const usesDepth = this.getShapeConfig(material.shape).fields.includes('depth');
+            
+            // Stock lengths in metres and bars on hand, if recorded
+            const stockParts = [];
+            if (material.stockLengths) {
+                stockParts.push(`${material.stockLengths.map(length => length / 1000).join(' / ')} m`);
+            }
+            if (material.onHand !== undefined) {
+                stockParts.push(`${material.onHand} bars`);
+            }
+            
+            // Current rate for the metal chosen in the target form
+            const currentRate = window.rateBook.getRate(material, metal);
+            
+            // Recommended pergola spans, to choose a section before assigning it
+            const spans = ['Beam', 'Rafter'].map(itemType => {
+                const span = this.getRecommendedSpan(material, itemType, metal);
+                return span ? utils.roundToDecimals(span / 1000, 2) : '-';
+            });
+            
             const row = document.createElement('tr');
             row.innerHTML = `
+                <td title="${this.getShapeConfig(material.shape).name}">${material.shape}</td>
                 <td>${material.width}</td>
-                <td>${material.depth}</td>
+                <td>${usesDepth ? material.depth : '-'}</td>
                 <td>${material.thickness}</td>
                 <td>${material.weight}</td>
-                <td><button class="btn select-material-btn">Select</button></td>
+                <td>${stockParts.length ? stockParts.join(', ') : '-'}</td>
+                <td>${currentRate ? utils.formatCurrency(currentRate.rate) : '-'}</td>
+                <td>${spans[0]}</td>
+                <td>${spans[1]}</td>
+                <td>${sourceLabel}</td>
+                <td>
+                    <button class="btn select-material-btn">Select</button>
+                    <button class="rate-btn" title="Rates">
+                        <i class="fas fa-rupee-sign"></i>
+                    </button>
+                    <button class="edit-btn" title="Edit profile">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="delete-btn" title="Delete profile">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
             `;
             
             // Add click event to select button
@@ -398,10 +1521,32 @@ class MaterialDatabase {
                 this.selectMaterial(material);
             });
             
+            // Add rate, edit and delete button events
+            row.querySelector('.rate-btn').addEventListener('click', () => {
+                window.rateBook.showPanel(material, metal);
+            });
+            
+            row.querySelector('.edit-btn').addEventListener('click', () => {
+                this.showEditForm(material);
+            });
+            
+            row.querySelector('.delete-btn').addEventListener('click', () => {
+                this.deleteMaterial(material);
+            });
+            
             tbody.appendChild(row);
         });
     }
 
+    /**
+     * Get the metal grade chosen in the form the modal was opened from
+     * @returns {string} - The metal grade code
+     */
+    getTargetMetal() {
+        const metalSelect = document.getElementById(`${this.targetType}MaterialMetal`);
+        return metalSelect && metalSelect.value ? metalSelect.value : 'MS';
+    }
+
     /**
      * Select a material from the database
      * @param {Object} material - The material to select
@@ -410,16 +1555,24 @@ class MaterialDatabase {
         this.selectedMaterial = material;
         
         // Populate the form based on target type
-        if (this.targetType === 'grill') {
-            document.getElementById('grillMaterialWidth').value = material.width;
-            document.getElementById('grillMaterialDepth').value = material.depth;
-            document.getElementById('grillMaterialThickness').value = material.thickness;
-            document.getElementById('grillMaterialWeight').value = material.weight;
-        } else if (this.targetType === 'pergola') {
-            document.getElementById('pergolaMaterialWidth').value = material.width;
-            document.getElementById('pergolaMaterialDepth').value = material.depth;
-            document.getElementById('pergolaMaterialThickness').value = material.thickness;
-            document.getElementById('pergolaMaterialWeight').value = material.weight;
+        if (this.targetType === 'grill' || this.targetType === 'pergola') {
+            const prefix = `${this.targetType}Material`;
+            
+            document.getElementById(`${prefix}Shape`).value = material.shape;
+            this.applyShapeToForm(prefix, material.shape);
+            
+            document.getElementById(`${prefix}Width`).value = material.width;
+            document.getElementById(`${prefix}Depth`).value = material.depth;
+            document.getElementById(`${prefix}Thickness`).value = material.thickness;
+            document.getElementById(`${prefix}Weight`).value = material.weight;
+            document.getElementById(`${this.targetType}WeightUnit`).value = 'kg/m';
+            this.setWeightSource(this.targetType, 'catalogue');
+            
+            // Pre-fill the rate in force today for the selected metal
+            const rateEntry = window.rateBook.getRate(material, this.getTargetMetal());
+            if (rateEntry) {
+                document.getElementById(`${prefix}Rate`).value = rateEntry.rate;
+            }
         }
         
         this.hideModal();
@@ -431,22 +1584,28 @@ class MaterialDatabase {
      * @param {number} width - Material width
      * @param {number} depth - Material depth
      * @param {number} thickness - Material thickness
+     * @param {string} shape - Optional shape code to restrict the search to
+     * @param {boolean} allowClosest - Return the closest profile when there is no exact match
      * @returns {Object|null} - The matching material or null if not found
      */
-    findMaterialByDimensions(width, depth, thickness) {
+    findMaterialByDimensions(width, depth, thickness, shape = null, allowClosest = false) {
         if (!this.loaded || !this.materials.length) return null;
         
-        // Find exact match
-        const exactMatch = this.materials.find(m => 
-            m.width === width && 
-            m.depth === depth && 
-            m.thickness === thickness
+        const candidates = shape ? this.materials.filter(m => m.shape === shape) : this.materials;
+        if (!candidates.length) return null;
+        
+        // Find exact match (with a small tolerance for floating point values)
+        const exactMatch = candidates.find(m => 
+            Math.abs(m.width - width) < 0.01 && 
+            Math.abs(m.depth - depth) < 0.01 && 
+            Math.abs(m.thickness - thickness) < 0.01
         );
         
-        if (exactMatch) return exactMatch;
+        // A nearby profile has a different weight, so only fall back to it when asked to
+        if (exactMatch || !allowClosest) return exactMatch || null;
         
         // Find closest match if no exact match found
-        return this.materials.reduce((closest, current) => {
+        return candidates.reduce((closest, current) => {
             const currentDiff = Math.abs(current.width - width) + 
                               Math.abs(current.depth - depth) + 
                               Math.abs(current.thickness - thickness);
@@ -471,11 +1630,12 @@ class MaterialDatabase {
             return;
         }
         
-        const headers = ['Width', 'Depth', 'Thickness', 'Weight (kg/m)'];
+        const headers = ['Shape', 'Width', 'Depth', 'Thickness', 'Weight (kg/m)', 'Stock Lengths (mm)', 'On Hand'];
         const csvContent = [
             headers.join(','),
             ...this.materials.map(material => 
-                `${material.width},${material.depth},${material.thickness},${material.weight}`
+                `${material.shape},${material.width},${material.depth},${material.thickness},${material.weight},` +
+                `${(material.stockLengths || []).join(';')},${material.onHand !== undefined ? material.onHand : ''}`
             )
         ].join('\n');
         
@@ -0,0 +1,452 @@
+/**
+ * Material Import Module
+ * Imports supplier catalogue files (CSV/TSV) into the material database with
+ * column mapping, unit conversion and a conflict preview
+ */
+
+// Header names recognised when guessing the column of each field
+const IMPORT_FIELDS = {
+    shape: { label: 'Shape', names: ['shape', 'type', 'section', 'profile'] },
+    width: { label: 'Width / OD', names: ['width', 'diameter', 'od', 'size a', 'a'] },
+    depth: { label: 'Depth', names: ['depth', 'height', 'size b', 'b'] },
+    thickness: { label: 'Thickness', names: ['thickness', 'thk', 'wall', 't'] },
+    weight: { label: 'Weight', names: ['weight', 'wt', 'mass', 'kg'] }
+};
+
+// Conversion of supplier weight units to kg/m
+const IMPORT_WEIGHT_UNITS = {
+    'kg/m': 1,
+    'kg/ft': 1 / 0.3048,
+    'lb/ft': 0.45359237 / 0.3048
+};
+
+// Number of rows shown in the preview table
+const IMPORT_PREVIEW_ROWS = 100;
+
+class MaterialImport {
+    constructor() {
+        this.panel = null;
+        this.headers = []; // Column headers of the loaded file
+        this.rows = []; // Data rows of the loaded file, split into values
+        this.delimiter = ','; // Field delimiter of the loaded file
+        this.preview = []; // Converted rows with their status against the catalogue
+    }
+
+    /**
+     * Initialize the import wizard
+     */
+    init() {
+        this.panel = document.getElementById('materialImportPanel');
+        window.materialDB.populateShapeSelect(document.getElementById('materialImportShape'));
+        
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for the import wizard
+     */
+    setupEventListeners() {
+        document.getElementById('importMaterialsBtn').addEventListener('click', () => {
+            this.showPanel();
+        });
+        
+        document.getElementById('materialImportFile').addEventListener('change', (e) => {
+            if (e.target.files && e.target.files[0]) {
+                this.readFile(e.target.files[0]);
+            }
+        });
+        
+        // Any change to the mapping or units refreshes the preview
+        ['materialImportShape', 'materialImportDimUnit', 'materialImportWeightUnit'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updatePreview();
+            });
+        });
+        
+        document.getElementById('cancelMaterialImportBtn').addEventListener('click', () => {
+            this.hidePanel();
+        });
+        
+        document.getElementById('applyMaterialImportBtn').addEventListener('click', () => {
+            this.applyImport();
+        });
+    }
+
+    /**
+     * Show the import wizard
+     */
+    showPanel() {
+        this.reset();
+        this.panel.style.display = 'block';
+    }
+
+    /**
+     * Hide the import wizard
+     */
+    hidePanel() {
+        this.panel.style.display = 'none';
+        this.reset();
+    }
+
+    /**
+     * Clear the loaded file and the wizard fields
+     */
+    reset() {
+        this.headers = [];
+        this.rows = [];
+        this.preview = [];
+        this.delimiter = ',';
+        
+        document.getElementById('materialImportFile').value = '';
+        document.getElementById('materialImportMapping').innerHTML = '';
+        document.getElementById('materialImportSummary').textContent = 'Choose a CSV or TSV file to import.';
+        document.getElementById('materialImportPreviewTable').querySelector('tbody').innerHTML = '';
+        document.getElementById('applyMaterialImportBtn').disabled = true;
+    }
+
+    /**
+     * Read a supplier file and build the column mapping
+     * @param {File} file - The file to read
+     */
+    readFile(file) {
+        const reader = new FileReader();
+        
+        reader.onload = (event) => {
+            const lines = event.target.result.split(/\r?\n/).filter(line => line.trim());
+            
+            if (lines.length < 2) {
+                utils.showNotification('The file has no data rows', true);
+                return;
+            }
+            
+            this.delimiter = this.detectDelimiter(lines[0]);
+            this.headers = this.splitLine(lines[0], this.delimiter);
+            this.rows = lines.slice(1).map(line => this.splitLine(line, this.delimiter));
+            
+            this.renderMapping();
+            this.updatePreview();
+        };
+        
+        reader.onerror = () => {
+            utils.showNotification('Failed to read the file', true);
+        };
+        
+        reader.readAsText(file);
+    }
+
+    /**
+     * Guess the delimiter of a file from its header line
+     * @param {string} headerLine - The first line of the file
+     * @returns {string} - Tab, semicolon or comma
+     */
+    detectDelimiter(headerLine) {
+        const counts = ['\t', ';', ','].map(delimiter => ({
+            delimiter,
+            count: headerLine.split(delimiter).length - 1
+        }));
+        
+        const best = counts.reduce((a, b) => (b.count > a.count ? b : a));
+        return best.count > 0 ? best.delimiter : ',';
+    }
+
+    /**
+     * Split a delimited line into values, honouring double-quoted fields
+     * @param {string} line - The line to split
+     * @param {string} delimiter - The field delimiter
+     * @returns {Array} - The trimmed values
+     */
+    splitLine(line, delimiter) {
+        const values = [];
+        let current = '';
+        let inQuotes = false;
+        
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            
+            if (char === '"') {
+                // A doubled quote inside a quoted field is a literal quote
+                if (inQuotes && line[i + 1] === '"') {
+                    current += '"';
+                    i++;
+                } else {
+                    inQuotes = !inQuotes;
+                }
+            } else if (char === delimiter && !inQuotes) {
+                values.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        
+        values.push(current.trim());
+        return values;
+    }
+
+    /**
+     * Guess which column holds a field from the header names
+     * @param {string} field - The field key
+     * @returns {number} - The column index, or -1 if none matches
+     */
+    guessColumn(field) {
+        const headers = this.headers.map(header => header.toLowerCase());
+        const names = IMPORT_FIELDS[field].names;
+        
+        // Prefer an exact header name, then a header starting with one of the names
+        const exact = headers.findIndex(header => names.includes(header));
+        if (exact !== -1) return exact;
+        
+        return headers.findIndex(header => names.some(name => name.length > 1 && header.startsWith(name)));
+    }
+
+    /**
+     * Render a column select for each field
+     */
+    renderMapping() {
+        const container = document.getElementById('materialImportMapping');
+        container.innerHTML = '';
+        
+        Object.entries(IMPORT_FIELDS).forEach(([field, config]) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            
+            const options = this.headers
+                .map((header, index) => `<option value="${index}">${header || `Column ${index + 1}`}</option>`)
+                .join('');
+            
+            group.innerHTML = `
+                <label for="materialImportMap-${field}">${config.label}</label>
+                <select id="materialImportMap-${field}" data-field="${field}">
+                    <option value="-1">- Not in file -</option>
+                    ${options}
+                </select>
+            `;
+            
+            const select = group.querySelector('select');
+            select.value = this.guessColumn(field);
+            select.addEventListener('change', () => {
+                this.updatePreview();
+            });
+            
+            container.appendChild(group);
+        });
+    }
+
+    /**
+     * Get the column chosen for each field
+     * @returns {Object} - Column index by field, -1 for unmapped fields
+     */
+    getMapping() {
+        const mapping = {};
+        
+        Object.keys(IMPORT_FIELDS).forEach(field => {
+            const select = document.getElementById(`materialImportMap-${field}`);
+            mapping[field] = select ? parseInt(select.value) : -1;
+        });
+        
+        return mapping;
+    }
+
+    /**
+     * Read a number from a supplier value such as "1,250 mm", "2.5" or "1,57".
+     * A comma is a thousands separator in comma-delimited files and next to a decimal point;
+     * otherwise it is a decimal comma, as in semicolon and tab exports.
+     * @param {string} text - The value from the file
+     * @returns {number} - The number, or NaN if the value is not a number with an optional unit
+     */
+    parseNumber(text) {
+        const thousands = this.delimiter === ',' || text.includes('.');
+        
+        // Thousands separators must group in threes, so "2,5" or "1.250,5" is not misread
+        if (thousands && text.includes(',') && !/^[-+]?\d{1,3}(,\d{3})+(\.\d*)?\s*[a-z\/]*$/i.test(text)) {
+            return NaN;
+        }
+        
+        const normalized = thousands ? text.replace(/,/g, '') : text.replace(/,/g, '.');
+        const match = normalized.match(/^([-+]?(?:\d+\.?\d*|\.\d+))\s*[a-z\/]*$/i);
+        return match ? parseFloat(match[1]) : NaN;
+    }
+
+    /**
+     * Recognise a shape in supplier text such as "MS Round Pipe"
+     * @param {string} text - The shape text from the file
+     * @returns {string|null} - The shape code or null if none is recognised
+     */
+    parseShapeText(text) {
+        const db = window.materialDB;
+        
+        return db.parseShape(text) ||
+            text.split(/[\s\-_\/]+/).map(word => db.parseShape(word)).find(shape => shape) ||
+            null;
+    }
+
+    /**
+     * Convert a file row into a material using the mapping and units
+     * @param {Array} values - The row values
+     * @param {Object} mapping - Column index by field
+     * @returns {Object|null} - The normalized material, or null if the row is invalid
+     */
+    convertRow(values, mapping) {
+        const dimUnit = document.getElementById('materialImportDimUnit').value;
+        const weightUnit = document.getElementById('materialImportWeightUnit').value;
+        const db = window.materialDB;
+        
+        // Numbers may carry units, thousands separators or decimal commas, e.g. "1,250 mm" or "2,5".
+        // A value that is not a number reads as NaN, so a dimension the shape needs makes the row invalid.
+        const read = field => mapping[field] === -1
+            ? NaN
+            : this.parseNumber(String(values[mapping[field]] || '').trim());
+        
+        const shape = (mapping.shape !== -1 && this.parseShapeText(values[mapping.shape] || '')) ||
+            document.getElementById('materialImportShape').value;
+        const fields = db.getShapeConfig(shape).fields;
+        
+        const material = {
+            shape,
+            width: utils.convertLength(read('width'), dimUnit, 'mm'),
+            depth: utils.convertLength(read('depth'), dimUnit, 'mm'),
+            thickness: utils.convertLength(read('thickness'), dimUnit, 'mm'),
+            weight: read('weight') * IMPORT_WEIGHT_UNITS[weightUnit]
+        };
+        
+        // Every dimension the shape uses and the weight must be present
+        if (fields.some(field => !material[field]) || !material.weight) {
+            return null;
+        }
+        
+        // Round away conversion noise
+        ['width', 'depth', 'thickness'].forEach(field => {
+            material[field] = utils.roundToDecimals(material[field], 2);
+        });
+        material.weight = utils.roundToDecimals(material.weight, 3);
+        
+        return db.normalizeMaterial(material);
+    }
+
+    /**
+     * Convert all rows and compare them with the current catalogue
+     */
+    updatePreview() {
+        if (this.rows.length === 0) return;
+        
+        const db = window.materialDB;
+        const mapping = this.getMapping();
+        const existing = new Map(db.materials.map(material => [db.getMaterialKey(material), material]));
+        const seen = new Set();
+        
+        this.preview = this.rows.map(values => {
+            const material = this.convertRow(values, mapping);
+            if (!material) {
+                return { status: 'invalid', values };
+            }
+            
+            const key = db.getMaterialKey(material);
+            const current = existing.get(key);
+            
+            let status = 'new';
+            if (seen.has(key)) {
+                status = 'duplicate';
+            } else if (current) {
+                status = Math.abs(current.weight - material.weight) < 0.001 ? 'same' : 'conflict';
+            }
+            seen.add(key);
+            
+            return { status, material, current };
+        });
+        
+        this.renderPreview();
+    }
+
+    /**
+     * Render the preview table and summary
+     */
+    renderPreview() {
+        const tbody = document.getElementById('materialImportPreviewTable').querySelector('tbody');
+        tbody.innerHTML = '';
+        
+        const statusLabels = {
+            new: 'New',
+            conflict: 'Conflict',
+            same: 'Unchanged',
+            duplicate: 'Duplicate',
+            invalid: 'Invalid'
+        };
+        
+        // Summary counts over all rows
+        const counts = {};
+        this.preview.forEach(row => {
+            counts[row.status] = (counts[row.status] || 0) + 1;
+        });
+        
+        document.getElementById('materialImportSummary').textContent =
+            `${this.preview.length} rows: ` +
+            Object.entries(statusLabels)
+                .filter(([status]) => counts[status])
+                .map(([status, label]) => `${counts[status]} ${label.toLowerCase()}`)
+                .join(', ');
+        
+        // Show conflicts and invalid rows first, as they need attention
+        const order = ['conflict', 'invalid', 'duplicate', 'new', 'same'];
+        const rows = [...this.preview]
+            .sort((a, b) => order.indexOf(a.status) - order.indexOf(b.status))
+            .slice(0, IMPORT_PREVIEW_ROWS);
+        
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            tr.className = `import-${row.status}`;
+            
+            if (row.status === 'invalid') {
+                tr.innerHTML = `
+                    <td>${statusLabels.invalid}</td>
+                    <td colspan="5">${row.values.join(' | ')}</td>
+                `;
+            } else {
+                const material = row.material;
+                tr.innerHTML = `
+                    <td>${statusLabels[row.status]}</td>
+                    <td>${material.shape}</td>
+                    <td>${material.dimensions}</td>
+                    <td>${material.weight}</td>
+                    <td>${row.current ? row.current.weight : '-'}</td>
+                    <td>${row.current ? row.current.source || 'stock' : '-'}</td>
+                `;
+            }
+            
+            tbody.appendChild(tr);
+        });
+        
+        document.getElementById('applyMaterialImportBtn').disabled =
+            !this.preview.some(row => row.status !== 'invalid');
+    }
+
+    /**
+     * Import the valid rows into the material database
+     */
+    applyImport() {
+        const mode = document.querySelector('input[name="materialImportMode"]:checked').value;
+        const overwrite = document.getElementById('materialImportOverwrite').checked;
+        
+        // Later duplicates of a key are dropped, the first row wins
+        const materials = this.preview
+            .filter(row => row.status !== 'invalid' && row.status !== 'duplicate')
+            .map(row => row.material);
+        
+        if (materials.length === 0) {
+            utils.showNotification('No valid rows to import', true);
+            return;
+        }
+        
+        if (mode === 'replace' &&
+            !confirm(`Replace the catalogue with ${materials.length} imported profiles? Profiles not in the file will be removed.`)) {
+            return;
+        }
+        
+        const count = window.materialDB.importMaterials(materials, mode, overwrite);
+        
+        this.hidePanel();
+        utils.showNotification(`Imported ${count} profiles`);
+    }
+}
+
+// Create global instance of the material import wizard
+window.materialImport = new MaterialImport();
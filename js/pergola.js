@@ -3,6 +3,15 @@
  * Handles all pergola-related calculations and interactions
  */
 
+// Roofing materials with their usual sheet size and overlap (mm) and how they are priced.
+// Glass has no stock sheet size: it is cut to the roof size unless a pane size is entered.
+const ROOFING_TYPES = {
+    glass: { name: 'Glass', sheetWidth: 0, sheetLength: 0, overlap: 0, pricing: 'area' },
+    polycarbonate: { name: 'Polycarbonate Sheet', sheetWidth: 2100, sheetLength: 5800, overlap: 50, pricing: 'sheet' },
+    acp: { name: 'ACP Panel', sheetWidth: 1220, sheetLength: 2440, overlap: 0, pricing: 'sheet' },
+    louvre: { name: 'Aluminium Louvre', sheetWidth: 150, sheetLength: 3000, overlap: 10, pricing: 'area' }
+};
+
 class PergolaManager {
     constructor() {
         this.materialForm = null;
@@ -12,9 +21,17 @@ class PergolaManager {
         this.totalAmount = 0;
         this.hardware = [];
         this.hardwareTotalAmount = 0;
-        this.glass = [];
-        this.glassTotalAmount = 0;
+        this.roofing = []; // Glass, polycarbonate, ACP and louvre roofing
+        this.roofingTotalAmount = 0;
+        this.glassSheetPricing = false; // Price glass by the jumbo sheets it is cut from
+        this.charges = []; // Labour and finishing charges, priced per kg, per sq.ft of surface or as a lump sum
+        this.chargesTotalAmount = 0;
+        this.layout = null; // Last overall dimensions used to generate members
+        this.memberMaterials = {}; // Materials assigned to member types (Pillar, Beam, ...), overriding currentMaterial
+        this.editingRequirementId = null; // Requirement row open for inline editing
+        this.roofingUnit = 'mm'; // Unit the roofing form's sheet size and overlap are shown in
         this.currentMaterial = {
+            shape: 'RHS',
             width: 0,
             depth: 0,
             thickness: 0,
@@ -37,7 +54,7 @@ class PergolaManager {
         this.materialForm = document.getElementById('pergolaMaterialForm');
         this.requirementForm = document.getElementById('pergolaRequirementForm');
         this.hardwareForm = document.getElementById('pergolaHardwareForm');
-        this.glassForm = document.getElementById('pergolaGlassForm');
+        this.roofingForm = document.getElementById('pergolaRoofingForm');
         
         // Setup event listeners
         this.setupEventListeners();
@@ -62,37 +79,72 @@ class PergolaManager {
             this.addRequirement();
         });
         
+        // Layout form submit
+        document.getElementById('pergolaLayoutForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.generateLayout();
+        });
+        
         // Hardware form submit
         this.hardwareForm.addEventListener('submit', (e) => {
             e.preventDefault();
             this.addHardware();
         });
         
-        // Glass form submit
-        this.glassForm.addEventListener('submit', (e) => {
+        // Roofing form submit
+        this.roofingForm.addEventListener('submit', (e) => {
             e.preventDefault();
-            this.addGlass();
+            this.addRoofing();
+        });
+        
+        // Glass priced by the jumbo sheets consumed instead of net area
+        document.getElementById('pergolaGlassSheetPricing').addEventListener('change', (e) => {
+            this.glassSheetPricing = e.target.checked;
+            this.renderRoofing();
+            this.updateRoofingTotals();
+        });
+        
+        // Roofing type fills in its usual sheet size, overlap and pricing
+        document.getElementById('pergolaRoofingType').addEventListener('change', () => {
+            this.applyRoofingDefaults();
+        });
+        
+        // Sheet size and overlap are rescaled so they keep their size in the new unit
+        this.roofingUnit = document.getElementById('pergolaRoofingUnit').value;
+        document.getElementById('pergolaRoofingUnit').addEventListener('change', (e) => {
+            this.rescaleRoofingSheet(this.roofingUnit, e.target.value);
+            this.roofingUnit = e.target.value;
         });
         
+        // Charge form submit
+        window.chargeCalculator.bindForm('pergola', this);
+        
         // Tab buttons
         document.getElementById('pergolaHardwareTab').addEventListener('click', () => {
             this.switchTab('hardware');
         });
         
-        document.getElementById('pergolaGlassTab').addEventListener('click', () => {
-            this.switchTab('glass');
+        document.getElementById('pergolaRoofingTab').addEventListener('click', () => {
+            this.switchTab('roofing');
         });
         
+        document.getElementById('pergolaChargesTab').addEventListener('click', () => {
+            this.switchTab('charges');
+        });
+        
+        // Show how the typed sizes are read
+        utils.bindSizePreview('pergolaSize', 'pergolaUnit', 'pergolaSizePreview');
+        utils.bindSizePreview('pergolaRoofingWidth', 'pergolaRoofingUnit', 'pergolaRoofingWidthPreview');
+        utils.bindSizePreview('pergolaRoofingDepth', 'pergolaRoofingUnit', 'pergolaRoofingDepthPreview');
+        
         // Hardware calculation preview
         document.getElementById('pergolaHardwareUnit').addEventListener('input', this.updateHardwareCalculation.bind(this));
         document.getElementById('pergolaHardwareRate').addEventListener('input', this.updateHardwareCalculation.bind(this));
         
-        // Glass calculation preview
-        document.getElementById('pergolaGlassWidth').addEventListener('input', this.updateGlassCalculation.bind(this));
-        document.getElementById('pergolaGlassDepth').addEventListener('input', this.updateGlassCalculation.bind(this));
-        document.getElementById('pergolaGlassDimensionUnit').addEventListener('change', this.updateGlassCalculation.bind(this));
-        document.getElementById('pergolaGlassAreaUnit').addEventListener('change', this.updateGlassCalculation.bind(this));
-        document.getElementById('pergolaGlassRate').addEventListener('input', this.updateGlassCalculation.bind(this));
+        // Roofing calculation preview
+        this.roofingForm.querySelectorAll('input, select').forEach(input => {
+            input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', this.updateRoofingCalculation.bind(this));
+        });
         
         // Load saved material button
         document.getElementById('loadPergolaMaterialBtn').addEventListener('click', () => {
@@ -106,26 +158,15 @@ class PergolaManager {
     }
 
     /**
-     * Switch between hardware and glass tabs
-     * @param {string} tab - The tab to switch to: 'hardware' or 'glass'
+     * Switch between the hardware, roofing and charges tabs
+     * @param {string} tab - The tab to switch to: 'hardware', 'roofing' or 'charges'
      */
     switchTab(tab) {
-        const hardwareTab = document.getElementById('pergolaHardwareTab');
-        const glassTab = document.getElementById('pergolaGlassTab');
-        const hardwareContent = document.getElementById('pergolaHardwareTabContent');
-        const glassContent = document.getElementById('pergolaGlassTabContent');
-        
-        if (tab === 'hardware') {
-            hardwareTab.classList.add('active');
-            glassTab.classList.remove('active');
-            hardwareContent.style.display = 'block';
-            glassContent.style.display = 'none';
-        } else if (tab === 'glass') {
-            hardwareTab.classList.remove('active');
-            glassTab.classList.add('active');
-            hardwareContent.style.display = 'none';
-            glassContent.style.display = 'block';
-        }
+        ['hardware', 'roofing', 'charges'].forEach(name => {
+            const key = name.charAt(0).toUpperCase() + name.slice(1);
+            document.getElementById(`pergola${key}Tab`).classList.toggle('active', name === tab);
+            document.getElementById(`pergola${key}TabContent`).style.display = name === tab ? 'block' : 'none';
+        });
     }
 
     /**
@@ -133,39 +174,161 @@ class PergolaManager {
      */
     saveMaterial() {
         // Get values from form
+        const shape = document.getElementById('pergolaMaterialShape').value;
         const width = parseFloat(document.getElementById('pergolaMaterialWidth').value);
-        const depth = parseFloat(document.getElementById('pergolaMaterialDepth').value);
+        let depth = parseFloat(document.getElementById('pergolaMaterialDepth').value);
         const thickness = parseFloat(document.getElementById('pergolaMaterialThickness').value);
         const weight = parseFloat(document.getElementById('pergolaMaterialWeight').value);
         const weightUnit = document.getElementById('pergolaWeightUnit').value;
+        const metal = document.getElementById('pergolaMaterialMetal').value;
+        const weightSource = document.getElementById('pergolaMaterialWeight').dataset.source || 'manual';
         const rate = parseFloat(document.getElementById('pergolaMaterialRate').value);
         const description = document.getElementById('pergolaMaterialDescription').value;
+        const memberType = document.getElementById('pergolaMaterialMemberType').value;
         
-        // Validate inputs
-        if (!width || !depth || !thickness || !weight || !rate) {
+        // Validate inputs (depth is only needed for shapes that have one)
+        const needsDepth = window.materialDB.getShapeConfig(shape).fields.includes('depth');
+        if (!width || (needsDepth && !depth) || !thickness || !weight || !rate) {
             utils.showNotification('Please fill all required fields', true);
             return;
         }
         
-        // Set current material
-        this.currentMaterial = {
+        // Fill in the depth of shapes that don't use it
+        if (!needsDepth) {
+            depth = window.materialDB.normalizeMaterial({ shape, width, depth, thickness }).depth;
+        }
+        
+        const material = {
+            shape,
             width,
             depth,
             thickness,
             weight,
             weightUnit,
+            metal,
+            weightSource,
             rate,
             description
         };
         
-        // Save to localStorage
-        utils.saveToLocalStorage('pergolaMaterial', this.currentMaterial);
-        utils.showNotification('Material saved successfully');
+        if (memberType) {
+            // Assign the material to one member type only
+            this.memberMaterials[memberType] = material;
+            this.renderMemberMaterials();
+            utils.showNotification(`Material assigned to ${memberType} members`);
+        } else {
+            // Set current material
+            this.currentMaterial = material;
+            
+            // Save to localStorage
+            utils.saveToLocalStorage('pergolaMaterial', this.currentMaterial);
+            utils.showNotification('Material saved successfully');
+            this.renderMemberMaterials();
+        }
         
         // Update calculations for existing requirements
         this.updateRequirements();
     }
 
+    /**
+     * Get the material used for a member type
+     * @param {string} itemType - The member type (Pillar, Beam, Rafter, Custom)
+     * @returns {Object} - The assigned material, or the default material
+     */
+    getMaterialFor(itemType) {
+        return this.memberMaterials[itemType] || this.currentMaterial;
+    }
+
+    /**
+     * Remove the material assigned to a member type, so it uses the default material again
+     * @param {string} itemType - The member type
+     */
+    removeMemberMaterial(itemType) {
+        delete this.memberMaterials[itemType];
+        this.renderMemberMaterials();
+        this.updateRequirements();
+    }
+
+    /**
+     * Render the list of materials assigned to member types
+     */
+    renderMemberMaterials() {
+        const container = document.getElementById('pergolaMemberMaterials');
+        window.materialDB.renderMemberMaterials(container, this.memberMaterials, itemType => {
+            this.removeMemberMaterial(itemType);
+        });
+        
+        // Recommended spans of the beam and rafter sections
+        const spans = Object.keys(SPAN_LOADS)
+            .map(itemType => {
+                const maxSpan = this.getMaxSpan(itemType);
+                return maxSpan ? `${itemType} ${utils.roundToDecimals(maxSpan / 1000, 2)} m` : null;
+            })
+            .filter(Boolean);
+        
+        if (spans.length > 0) {
+            const table = document.createElement('small');
+            table.className = 'span-table';
+            table.textContent = `Recommended max unsupported span: ${spans.join(', ')}`;
+            container.appendChild(table);
+        }
+    }
+
+    /**
+     * Get the recommended maximum unsupported span of a member type's section
+     * @param {string} itemType - The member type
+     * @returns {number|null} - The span in mm, or null if the member type isn't span checked
+     */
+    getMaxSpan(itemType) {
+        const material = this.getMaterialFor(itemType);
+        return window.materialDB.getRecommendedSpan(material, itemType, material.metal);
+    }
+
+    /**
+     * Check a beam or rafter row against the recommended span of its section.
+     * Generated rows carry their unsupported span; for manual rows the whole length is taken as the span.
+     * @param {Object} req - The requirement
+     * @returns {Object|null} - Object with span and maxSpan in mm, or null when within the span or not checked
+     */
+    getSpanWarning(req) {
+        const maxSpan = this.getMaxSpan(req.itemType);
+        if (!maxSpan) return null;
+        
+        const span = utils.convertLength(req.span || req.size, req.unit, 'mm');
+        if (span <= maxSpan) return null;
+        
+        return {
+            span: utils.roundToDecimals(span, 0),
+            maxSpan
+        };
+    }
+
+    /**
+     * Describe a span warning for the table and the quotation
+     * @param {Object} req - The requirement
+     * @param {Object} warning - The span warning
+     * @returns {string} - The warning text
+     */
+    formatSpanWarning(req, warning) {
+        return `${req.itemType} span ${utils.roundToDecimals(warning.span / 1000, 2)} m exceeds the recommended ` +
+            `${utils.roundToDecimals(warning.maxSpan / 1000, 2)} m for ${window.materialDB.formatMaterialLabel(req.material || this.getMaterialFor(req.itemType))}`;
+    }
+
+    /**
+     * Record why a span warning is accepted, or clear the note
+     * @param {string} id - The requirement ID
+     */
+    overrideSpanWarning(id) {
+        const req = this.requirements.find(r => r.id === id);
+        if (!req) return;
+        
+        const note = prompt('Reason for exceeding the recommended span (e.g. intermediate support, engineer approved). Leave empty to remove the override.', req.spanOverride || '');
+        if (note === null) return;
+        
+        req.spanOverride = note.trim();
+        this.renderRequirements();
+    }
+
     /**
      * Load saved material from localStorage
      */
@@ -177,15 +340,20 @@ class PergolaManager {
             return;
         }
         
-        // Set saved material as current
+        // Set saved material as current (materials saved before shapes existed are inferred)
         this.currentMaterial = savedMaterial;
+        this.currentMaterial.shape = savedMaterial.shape || window.materialDB.inferShape(savedMaterial);
         
         // Populate form
+        document.getElementById('pergolaMaterialShape').value = this.currentMaterial.shape;
+        window.materialDB.applyShapeToForm('pergolaMaterial', this.currentMaterial.shape);
         document.getElementById('pergolaMaterialWidth').value = savedMaterial.width;
         document.getElementById('pergolaMaterialDepth').value = savedMaterial.depth;
         document.getElementById('pergolaMaterialThickness').value = savedMaterial.thickness;
         document.getElementById('pergolaMaterialWeight').value = savedMaterial.weight;
         document.getElementById('pergolaWeightUnit').value = savedMaterial.weightUnit;
+        document.getElementById('pergolaMaterialMetal').value = savedMaterial.metal || 'MS';
+        window.materialDB.setWeightSource('pergola', savedMaterial.weightSource || 'manual', savedMaterial.metal);
         document.getElementById('pergolaMaterialRate').value = savedMaterial.rate;
         document.getElementById('pergolaMaterialDescription').value = savedMaterial.description || '';
         
@@ -199,14 +367,16 @@ class PergolaManager {
      * Add a new requirement from the form
      */
     addRequirement() {
+        // Get values from form
+        const itemType = document.getElementById('pergolaItemType').value;
+        const material = this.getMaterialFor(itemType);
+        
         // Check if material is set
-        if (!this.currentMaterial.weight || !this.currentMaterial.rate) {
+        if (!material.weight || !material.rate) {
             utils.showNotification('Please set material details first', true);
             return;
         }
         
-        // Get values from form
-        const itemType = document.getElementById('pergolaItemType').value;
         const size = document.getElementById('pergolaSize').value;
         const unit = document.getElementById('pergolaUnit').value;
         const quantity = parseInt(document.getElementById('pergolaQuantity').value);
@@ -220,7 +390,7 @@ class PergolaManager {
         
         // Parse size (handle different formats)
         const parsedSize = utils.parseSizeInput(size);
-        const sizeValue = parsedSize.unit ? parsedSize.value : parseFloat(size);
+        const sizeValue = parsedSize.value;
         const sizeUnit = parsedSize.unit || unit;
         
         if (!sizeValue || sizeValue <= 0 || !quantity || quantity <= 0) {
@@ -229,7 +399,7 @@ class PergolaManager {
         }
         
         // Calculate weight and amount based on material and size
-        const { weight, amount } = this.calculateRequirement(sizeValue, sizeUnit, quantity);
+        const { weight, amount } = this.calculateRequirement(sizeValue, sizeUnit, quantity, material);
         
         // Add to requirements array
         const requirement = {
@@ -240,7 +410,8 @@ class PergolaManager {
             quantity,
             weight,
             amount,
-            description
+            description,
+            material
         };
         
         this.requirements.push(requirement);
@@ -251,24 +422,131 @@ class PergolaManager {
         
         // Clear form
         document.getElementById('pergolaSize').value = '';
+        document.getElementById('pergolaSizePreview').textContent = '';
         document.getElementById('pergolaQuantity').value = '';
         document.getElementById('pergolaDescription').value = '';
         document.getElementById('pergolaSize').focus();
     }
 
+    /**
+     * Generate pillar, beam and rafter requirements from the overall pergola dimensions.
+     * Pillars stand on the perimeter at no more than the pillar spacing, a beam runs
+     * along each long side, and rafters span the width at no more than the rafter spacing.
+     */
+    generateLayout() {
+        // Check if material is set for every member type
+        if (['Pillar', 'Beam', 'Rafter'].some(itemType => !this.getMaterialFor(itemType).weight || !this.getMaterialFor(itemType).rate)) {
+            utils.showNotification('Please set material details first', true);
+            return;
+        }
+        
+        // Get values from form
+        const unit = document.getElementById('pergolaLayoutUnit').value;
+        const layout = {
+            length: parseFloat(document.getElementById('pergolaLayoutLength').value),
+            width: parseFloat(document.getElementById('pergolaLayoutWidth').value),
+            height: parseFloat(document.getElementById('pergolaLayoutHeight').value),
+            pillarSpacing: parseFloat(document.getElementById('pergolaLayoutPillarSpacing').value),
+            rafterSpacing: parseFloat(document.getElementById('pergolaLayoutRafterSpacing').value),
+            unit
+        };
+        
+        // Validate inputs
+        if (['length', 'width', 'height', 'pillarSpacing', 'rafterSpacing'].some(field => !layout[field] || layout[field] <= 0)) {
+            utils.showNotification('Please enter all layout dimensions', true);
+            return;
+        }
+        
+        const members = this.calculateLayoutMembers(layout);
+        
+        // Regenerating replaces the rows from the previous layout but keeps manual rows
+        this.requirements = this.requirements.filter(req => !req.fromLayout);
+        
+        members.forEach(member => {
+            const material = this.getMaterialFor(member.itemType);
+            const { weight, amount } = this.calculateRequirement(member.size, unit, member.quantity, material);
+            
+            this.requirements.push({
+                id: utils.generateId(),
+                itemType: member.itemType,
+                size: member.size,
+                unit,
+                quantity: member.quantity,
+                weight,
+                amount,
+                description: member.description,
+                material,
+                span: member.span,
+                fromLayout: true
+            });
+        });
+        
+        this.layout = layout;
+        
+        // Update UI
+        this.renderRequirements();
+        this.updateTotals();
+        utils.showNotification('Pergola members generated');
+    }
+
+    /**
+     * Work out the structural members of a rectangular pergola
+     * @param {Object} layout - Overall length, width, height, pillar spacing and rafter spacing in one unit
+     * @returns {Array} - Members with itemType, size, quantity and description; beams and rafters also carry their unsupported span
+     */
+    calculateLayoutMembers(layout) {
+        const { length, width, height, pillarSpacing, rafterSpacing, unit } = layout;
+        
+        // Pillars per side, including both corners
+        const pillarsAlongLength = Math.ceil(length / pillarSpacing) + 1;
+        const pillarsAlongWidth = Math.ceil(width / pillarSpacing) + 1;
+        
+        // Corners are shared by the long and short sides
+        const pillarCount = 2 * pillarsAlongLength + 2 * Math.max(pillarsAlongWidth - 2, 0);
+        
+        // Rafters across the width, one at each end
+        const rafterCount = Math.ceil(length / rafterSpacing) + 1;
+        const actualRafterSpacing = utils.roundToDecimals(length / (rafterCount - 1), 2);
+        const actualPillarSpacing = utils.roundToDecimals(length / (pillarsAlongLength - 1), 2);
+        
+        return [
+            {
+                itemType: 'Pillar',
+                size: height,
+                quantity: pillarCount,
+                description: `${pillarsAlongLength} per long side @ ${actualPillarSpacing} ${unit}`
+            },
+            {
+                itemType: 'Beam',
+                size: length,
+                span: actualPillarSpacing,
+                quantity: 2,
+                description: 'One along each long side'
+            },
+            {
+                itemType: 'Rafter',
+                size: width,
+                span: width,
+                quantity: rafterCount,
+                description: `@ ${actualRafterSpacing} ${unit} centres`
+            }
+        ];
+    }
+
     /**
      * Calculate weight and amount for a requirement
      * @param {number} size - The size value
      * @param {string} unit - The unit (mm, cm, inch, ft, m)
      * @param {number} quantity - The quantity
+     * @param {Object} material - The material of the member (defaults to the current material)
      * @returns {Object} - Object with weight and amount
      */
-    calculateRequirement(size, unit, quantity) {
+    calculateRequirement(size, unit, quantity, material = this.currentMaterial) {
         // Convert to the unit used in weight (m or ft)
         let convertedSize;
-        if (this.currentMaterial.weightUnit === 'kg/m') {
+        if (material.weightUnit === 'kg/m') {
             convertedSize = utils.convertLength(size, unit, 'm');
-        } else if (this.currentMaterial.weightUnit === 'kg/ft') {
+        } else if (material.weightUnit === 'kg/ft') {
             convertedSize = utils.convertLength(size, unit, 'ft');
         } else {
             // For per piece, size doesn't matter
@@ -276,10 +554,10 @@ class PergolaManager {
         }
         
         // Calculate weight
-        const weight = this.currentMaterial.weight * convertedSize * quantity;
+        const weight = material.weight * convertedSize * quantity;
         
         // Calculate amount
-        const amount = weight * this.currentMaterial.rate;
+        const amount = weight * material.rate;
         
         return {
             weight: utils.roundToDecimals(weight, 3),
@@ -301,32 +579,249 @@ class PergolaManager {
             return;
         }
         
-        this.requirements.forEach(req => {
+        this.requirements.forEach((req, index) => {
             const row = document.createElement('tr');
+            const materialNote = req.material ? `<br><small>${window.materialDB.formatMaterialLabel(req.material)}</small>` : '';
+            
+            // Inline editor
+            if (req.id === this.editingRequirementId) {
+                row.classList.add('editing-row');
+                row.innerHTML = `
+                    <td>${req.itemType}</td>
+                    <td><input type="text" class="edit-description" value="${req.description || ''}" placeholder="Description">${materialNote}</td>
+                    <td><input type="text" class="edit-size" value="${req.size}"></td>
+                    <td><select class="edit-unit">${this.getUnitOptions(req.unit)}</select></td>
+                    <td><input type="number" class="edit-quantity" min="1" value="${req.quantity}"></td>
+                    <td>${utils.formatWeight(req.weight)} kg</td>
+                    <td>₹${utils.formatCurrency(req.amount)}</td>
+                    <td>
+                        <button class="save-edit-btn" title="Save">
+                            <i class="fas fa-check"></i>
+                        </button>
+                        <button class="cancel-edit-btn" title="Cancel">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </td>
+                `;
+                
+                row.querySelector('.save-edit-btn').addEventListener('click', () => {
+                    this.saveRequirementEdit(req.id, row);
+                });
+                
+                row.querySelector('.cancel-edit-btn').addEventListener('click', () => {
+                    this.cancelRequirementEdit();
+                });
+                
+                tbody.appendChild(row);
+                return;
+            }
+            
+            // Beams and rafters longer than their section should span
+            const spanWarning = this.getSpanWarning(req);
+            let spanNote = '';
+            if (spanWarning) {
+                spanNote = req.spanOverride
+                    ? `<br><small class="span-warning overridden" title="${this.formatSpanWarning(req, spanWarning)}">Span override: ${req.spanOverride}</small>`
+                    : `<br><small class="span-warning">${this.formatSpanWarning(req, spanWarning)}</small>`;
+                spanNote += ` <button type="button" class="override-span-btn" title="${req.spanOverride ? 'Edit override note' : 'Override with a note'}">${req.spanOverride ? 'Edit' : 'Override'}</button>`;
+            }
+            
             row.innerHTML = `
-                <td>${req.itemType}</td>
-                <td>${req.description || '-'}</td>
+                <td>${req.itemType}${req.fromLayout ? ' <span class="material-badge custom" title="Generated from layout">Layout</span>' : ''}${spanNote}</td>
+                <td>${req.description || '-'}${materialNote}</td>
                 <td>${req.size} ${req.unit}</td>
                 <td>${req.unit}</td>
                 <td>${req.quantity}</td>
                 <td>${utils.formatWeight(req.weight)} kg</td>
                 <td>₹${utils.formatCurrency(req.amount)}</td>
-                <td>
-                    <button class="delete-btn" data-id="${req.id}">
-                        <i class="fas fa-trash"></i>
-                    </button>
-                </td>
+                <td>${this.getRequirementActions(index)}</td>
             `;
             
-            // Add delete button event
-            row.querySelector('.delete-btn').addEventListener('click', () => {
-                this.deleteRequirement(req.id);
-            });
+            // Add row action events
+            this.bindRequirementActions(row, req);
+            
+            if (spanWarning) {
+                row.querySelector('.override-span-btn').addEventListener('click', () => {
+                    this.overrideSpanWarning(req.id);
+                });
+            }
             
             tbody.appendChild(row);
         });
     }
 
+    /**
+     * Build the unit options for an inline unit select
+     * @param {string} selected - The selected unit
+     * @returns {string} - Option elements HTML
+     */
+    getUnitOptions(selected) {
+        return ['mm', 'cm', 'inch', 'ft', 'm']
+            .map(unit => `<option value="${unit}" ${unit === selected ? 'selected' : ''}>${unit}</option>`)
+            .join('');
+    }
+
+    /**
+     * Build the action buttons of a requirement row
+     * @param {number} index - The row index
+     * @returns {string} - Buttons HTML
+     */
+    getRequirementActions(index) {
+        return `
+            <button class="move-btn" data-direction="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                <i class="fas fa-arrow-up"></i>
+            </button>
+            <button class="move-btn" data-direction="1" title="Move down" ${index === this.requirements.length - 1 ? 'disabled' : ''}>
+                <i class="fas fa-arrow-down"></i>
+            </button>
+            <button class="edit-btn" title="Edit">
+                <i class="fas fa-edit"></i>
+            </button>
+            <button class="duplicate-btn" title="Duplicate">
+                <i class="fas fa-copy"></i>
+            </button>
+            <button class="delete-btn" title="Delete">
+                <i class="fas fa-trash"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Bind the action buttons of a requirement row
+     * @param {HTMLElement} row - The table row
+     * @param {Object} req - The requirement
+     */
+    bindRequirementActions(row, req) {
+        row.querySelectorAll('.move-btn').forEach(button => {
+            button.addEventListener('click', () => {
+                this.moveRequirement(req.id, parseInt(button.dataset.direction));
+            });
+        });
+        
+        row.querySelector('.edit-btn').addEventListener('click', () => {
+            this.editRequirement(req.id);
+        });
+        
+        row.querySelector('.duplicate-btn').addEventListener('click', () => {
+            this.duplicateRequirement(req.id);
+        });
+        
+        row.querySelector('.delete-btn').addEventListener('click', () => {
+            this.deleteRequirement(req.id);
+        });
+    }
+
+    /**
+     * Open a requirement row for inline editing
+     * @param {string} id - The requirement ID
+     */
+    editRequirement(id) {
+        this.editingRequirementId = id;
+        this.renderRequirements();
+    }
+
+    /**
+     * Close the inline editor without saving
+     */
+    cancelRequirementEdit() {
+        this.editingRequirementId = null;
+        this.renderRequirements();
+    }
+
+    /**
+     * Save an edited requirement row and recalculate its weight and amount
+     * @param {string} id - The requirement ID
+     * @param {HTMLElement} row - The table row holding the inputs
+     */
+    saveRequirementEdit(id, row) {
+        const size = row.querySelector('.edit-size').value;
+        const unit = row.querySelector('.edit-unit').value;
+        const quantity = parseInt(row.querySelector('.edit-quantity').value);
+        const description = row.querySelector('.edit-description').value.trim();
+        
+        // Parse size (handle different formats)
+        const parsedSize = utils.parseSizeInput(size);
+        const sizeValue = parsedSize.value;
+        const sizeUnit = parsedSize.unit || unit;
+        
+        if (!sizeValue || sizeValue <= 0 || !quantity || quantity <= 0) {
+            utils.showNotification('Please enter valid size and quantity', true);
+            return;
+        }
+        
+        this.requirements = this.requirements.map(req => {
+            if (req.id !== id) return req;
+            
+            const material = this.getMaterialFor(req.itemType);
+            const { weight, amount } = this.calculateRequirement(sizeValue, sizeUnit, quantity, material);
+            const edited = {
+                ...req,
+                size: sizeValue,
+                unit: sizeUnit,
+                quantity,
+                description,
+                weight,
+                amount,
+                material
+            };
+            
+            // The span is held in the row's unit. A new unit for the same length rescales it;
+            // a new length no longer matches the layout, so the whole length is checked as for a manual row.
+            // Either way a span override has to be confirmed again.
+            const oldLength = utils.convertLength(req.size, req.unit, 'mm');
+            const newLength = utils.convertLength(sizeValue, sizeUnit, 'mm');
+            if (Math.abs(oldLength - newLength) > 0.5) {
+                delete edited.span;
+                delete edited.spanOverride;
+            } else if (sizeUnit !== req.unit) {
+                if (req.span) {
+                    edited.span = utils.roundToDecimals(utils.convertLength(req.span, req.unit, sizeUnit), 4);
+                }
+                delete edited.spanOverride;
+            }
+            
+            return edited;
+        });
+        
+        this.editingRequirementId = null;
+        this.renderRequirements();
+        this.updateTotals();
+    }
+
+    /**
+     * Copy a requirement row below itself
+     * @param {string} id - The requirement ID
+     */
+    duplicateRequirement(id) {
+        const index = this.requirements.findIndex(req => req.id === id);
+        if (index === -1) return;
+        
+        // The copy is a manual row, so regenerating won't replace it
+        const copy = { ...this.requirements[index], id: utils.generateId() };
+        delete copy.fromLayout;
+        
+        this.requirements.splice(index + 1, 0, copy);
+        this.renderRequirements();
+        this.updateTotals();
+    }
+
+    /**
+     * Move a requirement row up or down
+     * @param {string} id - The requirement ID
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    moveRequirement(id, direction) {
+        const index = this.requirements.findIndex(req => req.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.requirements.length) return;
+        
+        const requirements = [...this.requirements];
+        [requirements[index], requirements[target]] = [requirements[target], requirements[index]];
+        this.requirements = requirements;
+        
+        this.renderRequirements();
+    }
+
     /**
      * Update total weight and amount
      */
@@ -336,6 +831,8 @@ class PergolaManager {
         
         document.getElementById('pergolaTotalWeight').textContent = utils.formatWeight(this.totalWeight);
         document.getElementById('pergolaTotalAmount').textContent = utils.formatCurrency(this.totalAmount);
+        
+        window.chargeCalculator.updateCharges('pergola', this);
     }
 
     /**
@@ -355,11 +852,13 @@ class PergolaManager {
         if (!this.requirements.length) return;
         
         this.requirements = this.requirements.map(req => {
-            const { weight, amount } = this.calculateRequirement(req.size, req.unit, req.quantity);
+            const material = this.getMaterialFor(req.itemType);
+            const { weight, amount } = this.calculateRequirement(req.size, req.unit, req.quantity, material);
             return {
                 ...req,
                 weight,
-                amount
+                amount,
+                material
             };
         });
         
@@ -419,68 +918,160 @@ class PergolaManager {
     }
     
     /**
-     * Add glass from the form
+     * Read the roofing form
+     * @returns {Object} - The roofing type, size, sheet size, overlap and pricing from the form
      */
-    addGlass() {
-        // Get values from form
-        const name = document.getElementById('pergolaGlassName').value;
-        const thickness = parseFloat(document.getElementById('pergolaGlassThickness').value);
-        const width = parseFloat(document.getElementById('pergolaGlassWidth').value);
-        const depth = parseFloat(document.getElementById('pergolaGlassDepth').value);
-        const dimensionUnit = document.getElementById('pergolaGlassDimensionUnit').value;
-        const areaUnit = document.getElementById('pergolaGlassAreaUnit').value;
-        const rate = parseFloat(document.getElementById('pergolaGlassRate').value);
+    readRoofingForm() {
+        const dimensionUnit = document.getElementById('pergolaRoofingUnit').value;
+        const length = id => utils.parseLengthInput(document.getElementById(id).value, dimensionUnit);
         
-        // Validate inputs
-        if (!name || !thickness || !width || !depth || !rate) {
-            utils.showNotification('Please fill all glass fields', true);
-            return;
-        }
+        return {
+            roofingType: document.getElementById('pergolaRoofingType').value,
+            name: document.getElementById('pergolaRoofingName').value,
+            thickness: parseFloat(document.getElementById('pergolaRoofingThickness').value) || 0,
+            dimensionUnit,
+            width: length('pergolaRoofingWidth'),
+            depth: length('pergolaRoofingDepth'),
+            sheetWidth: length('pergolaRoofingSheetWidth'),
+            sheetLength: length('pergolaRoofingSheetLength'),
+            overlap: length('pergolaRoofingOverlap'),
+            pricing: document.getElementById('pergolaRoofingPricing').value,
+            areaUnit: document.getElementById('pergolaRoofingAreaUnit').value,
+            rate: parseFloat(document.getElementById('pergolaRoofingRate').value) || 0
+        };
+    }
+    
+    /**
+     * Fill the sheet size, overlap and pricing of the chosen roofing type
+     */
+    applyRoofingDefaults() {
+        const type = ROOFING_TYPES[document.getElementById('pergolaRoofingType').value] || ROOFING_TYPES.glass;
+        const unit = document.getElementById('pergolaRoofingUnit').value;
         
-        // Calculate area based on dimensions and unit
-        const { area, formattedArea } = this.calculateGlassArea(width, depth, dimensionUnit, areaUnit);
+        // Defaults are kept in mm, show them in the unit of the form
+        const toUnit = mm => mm ? utils.roundToDecimals(utils.convertLength(mm, 'mm', unit), 2) : '';
         
-        // Calculate amount: area × rate
-        const amount = area * rate;
+        document.getElementById('pergolaRoofingSheetWidth').value = toUnit(type.sheetWidth);
+        document.getElementById('pergolaRoofingSheetLength').value = toUnit(type.sheetLength);
+        document.getElementById('pergolaRoofingOverlap').value = toUnit(type.overlap);
+        document.getElementById('pergolaRoofingPricing').value = type.pricing;
+    }
+
+    /**
+     * Convert the sheet size and overlap in the roofing form to another unit
+     * @param {string} fromUnit - The unit the values are entered in
+     * @param {string} toUnit - The unit to show them in
+     */
+    rescaleRoofingSheet(fromUnit, toUnit) {
+        ['pergolaRoofingSheetWidth', 'pergolaRoofingSheetLength', 'pergolaRoofingOverlap'].forEach(id => {
+            const input = document.getElementById(id);
+            const value = utils.parseLengthInput(input.value, fromUnit);
+            input.value = value ? utils.roundToDecimals(utils.convertLength(value, fromUnit, toUnit), 2) : '';
+        });
+    }
+    
+    /**
+     * Calculate the sheets needed to cover a roof.
+     * Sheets run with their width across the roof width and their length along the depth;
+     * each joint loses the overlap. Without a sheet size the roof is one piece cut to size.
+     * @param {number} width - The roof width
+     * @param {number} depth - The roof depth
+     * @param {number} sheetWidth - The sheet width in the same unit (0 for cut to size)
+     * @param {number} sheetLength - The sheet length in the same unit (0 for cut to size)
+     * @param {number} overlap - The overlap at each joint in the same unit
+     * @returns {Object|null} - Object with columns, rows and sheets, or null if the overlap is not smaller than the sheet
+     */
+    calculateRoofingSheets(width, depth, sheetWidth, sheetLength, overlap = 0) {
+        // A sheet dimension left blank is cut to the roof size
+        const count = (span, sheet) => {
+            if (!sheet || sheet >= span) return 1;
+            
+            const cover = sheet - overlap;
+            if (cover <= 0) return null;
+            
+            return Math.ceil(utils.roundToDecimals((span - overlap) / cover, 6));
+        };
         
-        // Add to glass array
-        const glassItem = {
-            id: utils.generateId(),
-            name,
-            thickness,
-            width,
-            depth,
-            dimensionUnit,
+        const columns = count(width, sheetWidth);
+        const rows = count(depth, sheetLength);
+        if (columns === null || rows === null) return null;
+        
+        return { columns, rows, sheets: columns * rows };
+    }
+    
+    /**
+     * Calculate the area, sheets and amount of a roofing item
+     * @param {Object} roofing - The roofing values from the form
+     * @returns {Object|null} - The roofing item with area, sheets and amount, or null if the sheets cannot be laid
+     */
+    calculateRoofing(roofing) {
+        const layout = this.calculateRoofingSheets(
+            roofing.width, roofing.depth, roofing.sheetWidth, roofing.sheetLength, roofing.overlap
+        );
+        if (!layout) return null;
+        
+        const { area, formattedArea } = this.calculateRoofArea(roofing.width, roofing.depth, roofing.dimensionUnit, roofing.areaUnit);
+        
+        // Per-sheet pricing charges every sheet consumed, per-area pricing the covered area
+        const amount = roofing.pricing === 'sheet' ? layout.sheets * roofing.rate : area * roofing.rate;
+        
+        return {
+            ...roofing,
+            ...layout,
             area,
             formattedArea,
-            areaUnit,
-            rate,
             amount
         };
+    }
+    
+    /**
+     * Add roofing from the form
+     */
+    addRoofing() {
+        const roofing = this.readRoofingForm();
         
-        this.glass.push(glassItem);
+        // Validate inputs
+        if (!roofing.name || !roofing.width || !roofing.depth || !roofing.rate) {
+            utils.showNotification('Please fill all roofing fields', true);
+            return;
+        }
         
-        // Update UI
-        this.renderGlass();
-        this.updateGlassTotals();
+        if (roofing.pricing === 'sheet' && !(roofing.sheetWidth && roofing.sheetLength)) {
+            utils.showNotification('Please enter the sheet size to price per sheet', true);
+            return;
+        }
         
-        // Clear form
-        document.getElementById('pergolaGlassName').value = '';
-        document.getElementById('pergolaGlassThickness').value = '';
-        document.getElementById('pergolaGlassWidth').value = '';
-        document.getElementById('pergolaGlassDepth').value = '';
-        document.getElementById('pergolaGlassName').focus();
+        const roofingItem = this.calculateRoofing(roofing);
+        if (!roofingItem) {
+            utils.showNotification('Overlap must be smaller than the sheet size', true);
+            return;
+        }
+        
+        roofingItem.id = utils.generateId();
+        this.roofing.push(roofingItem);
+        
+        // Update UI
+        this.renderRoofing();
+        this.updateRoofingTotals();
+        
+        // Clear form, keeping the type and sheet size for the next roof
+        document.getElementById('pergolaRoofingName').value = '';
+        document.getElementById('pergolaRoofingWidth').value = '';
+        document.getElementById('pergolaRoofingDepth').value = '';
+        document.getElementById('pergolaRoofingWidthPreview').textContent = '';
+        document.getElementById('pergolaRoofingDepthPreview').textContent = '';
+        document.getElementById('pergolaRoofingName').focus();
     }
     
     /**
-     * Calculate glass area based on dimensions and unit
+     * Calculate roof area based on dimensions and unit
      * @param {number} width - The width
      * @param {number} depth - The depth
      * @param {string} dimensionUnit - The dimension unit (mm, cm, inch, ft, m)
      * @param {string} areaUnit - The area unit (sqft, sqm)
      * @returns {Object} - Object with area and formatted area
      */
-    calculateGlassArea(width, depth, dimensionUnit, areaUnit) {
+    calculateRoofArea(width, depth, dimensionUnit, areaUnit) {
         // Convert dimensions to meters
         const widthInM = utils.convertLength(width, dimensionUnit, 'm');
         const depthInM = utils.convertLength(depth, dimensionUnit, 'm');
@@ -507,24 +1098,25 @@ class PergolaManager {
     }
     
     /**
-     * Update glass calculation preview
+     * Update roofing calculation preview
      */
-    updateGlassCalculation() {
-        const width = parseFloat(document.getElementById('pergolaGlassWidth').value) || 0;
-        const depth = parseFloat(document.getElementById('pergolaGlassDepth').value) || 0;
-        const dimensionUnit = document.getElementById('pergolaGlassDimensionUnit').value;
-        const areaUnit = document.getElementById('pergolaGlassAreaUnit').value;
-        const rate = parseFloat(document.getElementById('pergolaGlassRate').value) || 0;
+    updateRoofingCalculation() {
+        const roofing = this.readRoofingForm();
+        const preview = document.getElementById('pergolaRoofingCalculation');
         
-        if (width > 0 && depth > 0) {
-            const { area, formattedArea } = this.calculateGlassArea(width, depth, dimensionUnit, areaUnit);
-            const amount = area * rate;
-            
-            document.getElementById('pergolaGlassCalculation').textContent = 
-                `Area: ${formattedArea} | Amount: ₹${utils.formatCurrency(amount)}`;
-        } else {
-            document.getElementById('pergolaGlassCalculation').textContent = 'Area: 0 | Amount: ₹0';
+        if (!(roofing.width > 0 && roofing.depth > 0)) {
+            preview.textContent = 'Area: 0 | Sheets: 0 | Amount: ₹0';
+            return;
+        }
+        
+        const result = this.calculateRoofing(roofing);
+        if (!result) {
+            preview.textContent = 'Overlap must be smaller than the sheet size';
+            return;
         }
+        
+        preview.textContent =
+            `Area: ${result.formattedArea} | Sheets: ${result.sheets} (${result.columns} × ${result.rows}) | Amount: ₹${utils.formatCurrency(result.amount)}`;
     }
     
     /**
@@ -565,30 +1157,38 @@ class PergolaManager {
     }
     
     /**
-     * Render glass table
+     * Render roofing table
      */
-    renderGlass() {
-        const tbody = document.getElementById('pergolaGlassTable').querySelector('tbody');
+    renderRoofing() {
+        // Glass amounts depend on the nesting when priced by sheets
+        this.updateGlassNesting();
+        
+        const tbody = document.getElementById('pergolaRoofingTable').querySelector('tbody');
         tbody.innerHTML = '';
         
-        if (this.glass.length === 0) {
+        if (this.roofing.length === 0) {
             const row = document.createElement('tr');
-            row.innerHTML = `<td colspan="7">No glass added yet</td>`;
+            row.innerHTML = `<td colspan="8">No roofing added yet</td>`;
             tbody.appendChild(row);
             return;
         }
         
-        this.glass.forEach(g => {
+        this.roofing.forEach(r => {
+            const areaLabel = r.areaUnit === 'sqft' ? 'sq.ft' : 'sq.m';
+            const nesting = r.roofingType === 'glass' ? r.nesting : null;
             const row = document.createElement('tr');
             row.innerHTML = `
-                <td>${g.name}</td>
-                <td>${g.thickness} mm</td>
-                <td>${g.width}×${g.depth} ${g.dimensionUnit}</td>
-                <td>${g.formattedArea}</td>
-                <td>₹${utils.formatCurrency(g.rate)}/${g.areaUnit === 'sqft' ? 'sq.ft' : 'sq.m'}</td>
-                <td>₹${utils.formatCurrency(g.amount)}</td>
+                <td>${(ROOFING_TYPES[r.roofingType] || ROOFING_TYPES.glass).name}</td>
+                <td>${r.name}${r.thickness ? `, ${r.thickness} mm` : ''}</td>
+                <td>${r.width}×${r.depth} ${r.dimensionUnit}</td>
+                <td>${r.formattedArea}</td>
+                <td>${r.sheets}${r.sheetWidth ? `<br><small>${r.columns} × ${r.rows} of ${r.sheetWidth}×${r.sheetLength} ${r.dimensionUnit}</small>` : ''}</td>
+                <td>${nesting && nesting.sheetPriced
+                    ? `₹${utils.formatCurrency(nesting.sheetRate)}/sheet × ${nesting.sheetShare}<br><small>by jumbo sheets</small>`
+                    : `₹${utils.formatCurrency(r.rate)}/${r.pricing === 'sheet' ? 'sheet' : areaLabel}`}</td>
+                <td>₹${utils.formatCurrency(r.amount)}</td>
                 <td>
-                    <button class="delete-btn" data-id="${g.id}" data-type="glass">
+                    <button class="delete-btn" data-id="${r.id}" data-type="roofing">
                         <i class="fas fa-trash"></i>
                     </button>
                 </td>
@@ -596,13 +1196,81 @@ class PergolaManager {
             
             // Add delete button event
             row.querySelector('.delete-btn').addEventListener('click', () => {
-                this.deleteGlass(g.id);
+                this.deleteRoofing(r.id);
             });
             
             tbody.appendChild(row);
         });
     }
     
+    /**
+     * Get the panes a glass roofing item is cut into.
+     * The roof is split into equal panes, as many across and along as the pane size needs.
+     * @param {Object} roofing - The glass roofing item
+     * @returns {Object} - The pane with width, length (mm), quantity and label
+     */
+    getGlassPane(roofing) {
+        return {
+            width: utils.convertLength(roofing.width, roofing.dimensionUnit, 'mm') / (roofing.columns || 1),
+            length: utils.convertLength(roofing.depth, roofing.dimensionUnit, 'mm') / (roofing.rows || 1),
+            quantity: roofing.sheets || 1,
+            label: `${roofing.name}${roofing.thickness ? ` ${roofing.thickness}mm` : ''}`
+        };
+    }
+    
+    /**
+     * Nest the glass panes on jumbo sheets, one nesting per glass specification and thickness,
+     * and price the glass by the sheets consumed when sheet pricing is on
+     */
+    updateGlassNesting() {
+        const container = document.getElementById('pergolaGlassNesting');
+        
+        // Panes can only share a sheet with panes of the same glass
+        const groups = {};
+        this.roofing.filter(r => r.roofingType === 'glass').forEach(r => {
+            const key = `${r.name}|${r.thickness}`;
+            if (!groups[key]) {
+                groups[key] = { name: r.name, thickness: r.thickness, items: [] };
+            }
+            groups[key].items.push(r);
+        });
+        
+        let html = '';
+        Object.values(groups).forEach(group => {
+            const sheet = window.glassNesting.getSheetSize(group.thickness);
+            const result = window.glassNesting.nestPanes(group.items.map(r => this.getGlassPane(r)), sheet.width, sheet.length);
+            const title = `${group.name}${group.thickness ? ` ${group.thickness} mm` : ''}`;
+            
+            // Sheet pricing needs a sheet rate and every pane to fit on a sheet
+            const sheetPriced = this.glassSheetPricing && sheet.rate > 0 && result.oversized.length === 0;
+            
+            group.items.forEach(r => {
+                const pane = this.getGlassPane(r);
+                const netArea = pane.width * pane.length * pane.quantity;
+                
+                // Each item carries its share of the sheets by net area
+                r.nesting = {
+                    sheets: result.sheetsUsed,
+                    sheetWidth: sheet.width,
+                    sheetLength: sheet.length,
+                    wastagePercentage: utils.roundToDecimals(result.wastagePercentage, 1),
+                    sheetShare: result.netArea ? utils.roundToDecimals(result.sheetsUsed * netArea / result.netArea, 2) : 0,
+                    sheetRate: sheet.rate,
+                    sheetPriced
+                };
+                r.amount = sheetPriced ? r.nesting.sheetShare * sheet.rate : this.calculateRoofing(r).amount;
+            });
+            
+            html += window.glassNesting.createVisualization(result, title);
+            
+            if (result.oversized.length > 0) {
+                html += `<p class="span-warning">${result.oversized.length} pane size(s) of ${title} do not fit a ${sheet.width}×${sheet.length} mm sheet - enter a smaller pane size</p>`;
+            }
+        });
+        
+        container.innerHTML = html || '<div class="no-data">Add glass roofing to see how it is cut from jumbo sheets</div>';
+    }
+    
     /**
      * Update hardware totals
      */
@@ -612,11 +1280,11 @@ class PergolaManager {
     }
     
     /**
-     * Update glass totals
+     * Update roofing totals
      */
-    updateGlassTotals() {
-        this.glassTotalAmount = this.glass.reduce((sum, g) => sum + g.amount, 0);
-        document.getElementById('pergolaGlassTotalAmount').textContent = utils.formatCurrency(this.glassTotalAmount);
+    updateRoofingTotals() {
+        this.roofingTotalAmount = this.roofing.reduce((sum, r) => sum + r.amount, 0);
+        document.getElementById('pergolaRoofingTotalAmount').textContent = utils.formatCurrency(this.roofingTotalAmount);
     }
     
     /**
@@ -630,64 +1298,98 @@ class PergolaManager {
     }
     
     /**
-     * Delete glass item
-     * @param {string} id - The glass ID
+     * Delete roofing item
+     * @param {string} id - The roofing ID
      */
-    deleteGlass(id) {
-        this.glass = this.glass.filter(g => g.id !== id);
-        this.renderGlass();
-        this.updateGlassTotals();
+    deleteRoofing(id) {
+        this.roofing = this.roofing.filter(r => r.id !== id);
+        this.renderRoofing();
+        this.updateRoofingTotals();
     }
 
     /**
      * Add to quotation
      */
     addToQuotation() {
+        // Charges that come to nothing are left out, as for grills
+        const charges = this.charges.filter(charge => charge.amount > 0);
+        
         // Check if any items exist
-        if (this.requirements.length === 0 && this.hardware.length === 0 && this.glass.length === 0) {
+        if (this.requirements.length === 0 && this.hardware.length === 0 && this.roofing.length === 0 && charges.length === 0) {
             utils.showNotification('No items to add to quotation', true);
             return;
         }
         
         // Create a quotation item for material requirements
+        let unresolvedSpans = false;
         if (this.requirements.length > 0) {
+            // Member types with their own material are listed separately
+            const defaultMaterial = this.requirements.some(req => !this.memberMaterials[req.itemType])
+                ? this.currentMaterial
+                : this.requirements[0].material;
+            const mainMaterial = window.materialDB.getQuotationDetails(defaultMaterial, 'Pergola Material');
+            const dimensions = mainMaterial.dimensions;
+            
+            // Describe each distinct material once, with the member types that use it
+            const materialLines = new Map();
+            this.requirements.forEach(req => {
+                const material = req.material || this.currentMaterial;
+                const label = window.materialDB.formatMaterialLabel(material);
+                
+                if (!materialLines.has(label)) {
+                    // Flag weights calculated from section geometry rather than taken from the catalogue
+                    const weightNote = material.weightSource === 'calculated'
+                        ? ` (calculated, ${material.metal || 'MS'})`
+                        : '';
+                    materialLines.set(label, { text: `${label}, ${material.weight} ${material.weightUnit}${weightNote}`, types: new Set() });
+                }
+                materialLines.get(label).types.add(req.itemType);
+            });
+            
+            const materialDescription = materialLines.size === 1
+                ? Array.from(materialLines.values())[0].text
+                : Array.from(materialLines.values())
+                    .map(line => `${Array.from(line.types).join('/')}: ${line.text}`)
+                    .join('; ');
+            
             // Create title based on material description or default
-            const materialTitle = this.currentMaterial.description 
-                ? `Pergola (${this.currentMaterial.description})` 
-                : `Pergola (${this.currentMaterial.width}×${this.currentMaterial.depth}×${this.currentMaterial.thickness}mm)`;
+            const materialTitle = defaultMaterial.description 
+                ? `Pergola (${defaultMaterial.description})` 
+                : `Pergola (${dimensions})`;
             
-            // Format dimensions for display
-            const dimensions = `${this.currentMaterial.width}×${this.currentMaterial.depth}×${this.currentMaterial.thickness}mm`;
+            // Beams and rafters beyond their recommended span, with any override notes
+            const spanWarnings = this.requirements
+                .map(req => {
+                    const warning = this.getSpanWarning(req);
+                    if (!warning) return null;
+                    return this.formatSpanWarning(req, warning) + (req.spanOverride ? ` (override: ${req.spanOverride})` : '');
+                })
+                .filter(Boolean);
+            unresolvedSpans = this.requirements.some(req => this.getSpanWarning(req) && !req.spanOverride);
             
-            // Create indexed requirement list for cutting plan
+            // Create indexed requirement list for cutting plan, each row with its own material
             const requirements = this.requirements.map(req => ({
                 size: req.size,
                 unit: req.unit,
                 quantity: req.quantity,
                 itemType: req.itemType,
-                description: materialTitle
+                description: materialTitle,
+                material: window.materialDB.getQuotationDetails(req.material || this.currentMaterial, 'Pergola Material')
             }));
             
             // Add material to quotation
             this.quotationManager.addItem({
                 type: 'Pergola',
                 name: materialTitle,
-                description: `Material: ${dimensions}, ${this.currentMaterial.weight} ${this.currentMaterial.weightUnit}`,
+                description: `Material: ${materialDescription}${spanWarnings.length ? `; Span check: ${spanWarnings.join('; ')}` : ''}`,
                 indexedDescription: `Pergola Material - ${dimensions}`,
                 quantity: 1,
                 unit: 'set',
                 amount: this.totalAmount,
                 details: {
-                    material: {
-                        type: this.currentMaterial.description || 'Pergola Material',
-                        width: this.currentMaterial.width,
-                        depth: this.currentMaterial.depth,
-                        thickness: this.currentMaterial.thickness,
-                        weight: this.currentMaterial.weight,
-                        weightUnit: this.currentMaterial.weightUnit,
-                        dimensions: dimensions
-                    },
-                    requirements: requirements
+                    material: mainMaterial,
+                    requirements: requirements,
+                    spanWarnings
                 }
             });
         }
@@ -706,30 +1408,58 @@ class PergolaManager {
             });
         });
         
-        // Add glass items individually
-        this.glass.forEach(g => {
+        // Add roofing items individually
+        this.roofing.forEach(r => {
+            const typeName = (ROOFING_TYPES[r.roofingType] || ROOFING_TYPES.glass).name;
+            const areaLabel = r.areaUnit === 'sqft' ? 'sq.ft' : 'sq.m';
+            const sheetText = r.sheetWidth
+                ? `, ${r.sheets} ${r.roofingType === 'glass' ? 'panes' : 'sheets'} of ${r.sheetWidth}×${r.sheetLength} ${r.dimensionUnit}${r.overlap ? ` with ${r.overlap} ${r.dimensionUnit} overlap` : ''}`
+                : '';
+            const nesting = r.roofingType === 'glass' ? r.nesting : null;
+            const nestingText = nesting
+                ? `, cut from ${nesting.sheets} sheet(s) of ${nesting.sheetWidth}×${nesting.sheetLength} mm (${nesting.wastagePercentage}% wastage)`
+                : '';
+            const sheetPriced = nesting && nesting.sheetPriced;
+            
             this.quotationManager.addItem({
-                type: 'Glass',
-                name: `Pergola Glass - ${g.name}`,
-                description: `${g.name}, ${g.thickness}mm thickness, ${g.width}×${g.depth} ${g.dimensionUnit}, Area: ${g.formattedArea}`,
-                indexedDescription: `Glass - ${g.name} ${g.thickness}mm`,
-                quantity: 1,
-                unit: g.areaUnit === 'sqft' ? 'sq.ft' : 'sq.m',
-                rate: g.rate,
-                amount: g.amount,
+                type: 'Roofing',
+                name: `Pergola Roofing - ${typeName} ${r.name}`,
+                description: `${typeName}, ${r.name}${r.thickness ? `, ${r.thickness}mm thickness` : ''}, ${r.width}×${r.depth} ${r.dimensionUnit}, Area: ${r.formattedArea}${sheetText}${nestingText}`,
+                indexedDescription: `${typeName} - ${r.name}${r.thickness ? ` ${r.thickness}mm` : ''}`,
+                dimensions: `${r.width}×${r.depth} ${r.dimensionUnit}, ${r.formattedArea}${sheetText}`,
+                quantity: sheetPriced ? nesting.sheetShare : (r.pricing === 'sheet' ? r.sheets : r.area),
+                unit: sheetPriced || r.pricing === 'sheet' ? 'sheets' : areaLabel,
+                rate: sheetPriced ? nesting.sheetRate : r.rate,
+                amount: r.amount,
                 details: {
-                    glassType: g.name,
-                    thickness: g.thickness,
-                    width: g.width,
-                    depth: g.depth,
-                    dimensionUnit: g.dimensionUnit,
-                    area: g.area,
-                    areaUnit: g.areaUnit
+                    roofingType: r.roofingType,
+                    name: r.name,
+                    thickness: r.thickness,
+                    width: r.width,
+                    depth: r.depth,
+                    dimensionUnit: r.dimensionUnit,
+                    area: r.area,
+                    areaUnit: r.areaUnit,
+                    sheetWidth: r.sheetWidth,
+                    sheetLength: r.sheetLength,
+                    overlap: r.overlap,
+                    sheets: r.sheets,
+                    pricing: sheetPriced ? 'jumboSheet' : r.pricing,
+                    nesting
                 }
             });
         });
         
-        utils.showNotification('Added to quotation');
+        // Add labour and finishing charges individually
+        charges.forEach(charge => {
+            this.quotationManager.addItem(window.chargeCalculator.getQuotationItem(charge, 'Pergola'));
+        });
+        
+        if (unresolvedSpans) {
+            utils.showNotification('Added to quotation with span warnings - check the beam and rafter sizes', true);
+        } else {
+            utils.showNotification('Added to quotation');
+        }
     }
     
     /**
@@ -753,8 +1483,13 @@ class PergolaManager {
             totalAmount: this.totalAmount,
             hardware: this.hardware,
             hardwareTotalAmount: this.hardwareTotalAmount,
-            glass: this.glass,
-            glassTotalAmount: this.glassTotalAmount
+            roofing: this.roofing,
+            roofingTotalAmount: this.roofingTotalAmount,
+            glassSheetPricing: this.glassSheetPricing,
+            charges: this.charges,
+            chargesTotalAmount: this.chargesTotalAmount,
+            layout: this.layout,
+            memberMaterials: this.memberMaterials
         };
     }
 
@@ -771,24 +1506,56 @@ class PergolaManager {
         this.totalAmount = state.totalAmount;
         this.hardware = state.hardware || [];
         this.hardwareTotalAmount = state.hardwareTotalAmount || 0;
-        this.glass = state.glass || [];
-        this.glassTotalAmount = state.glassTotalAmount || 0;
+        // Saves from before roofing types hold glass panes priced by area
+        this.roofing = state.roofing || (state.glass || []).map(g => ({
+            ...g,
+            roofingType: 'glass',
+            sheetWidth: 0,
+            sheetLength: 0,
+            overlap: 0,
+            sheets: 1,
+            pricing: 'area'
+        }));
+        this.roofingTotalAmount = this.roofing.reduce((sum, r) => sum + r.amount, 0);
+        this.glassSheetPricing = state.glassSheetPricing || false;
+        document.getElementById('pergolaGlassSheetPricing').checked = this.glassSheetPricing;
+        this.charges = state.charges || [];
+        this.chargesTotalAmount = state.chargesTotalAmount || 0;
+        this.layout = state.layout || null;
+        this.memberMaterials = state.memberMaterials || {};
+        
+        // Restore the layout form
+        if (this.layout) {
+            document.getElementById('pergolaLayoutLength').value = this.layout.length;
+            document.getElementById('pergolaLayoutWidth').value = this.layout.width;
+            document.getElementById('pergolaLayoutHeight').value = this.layout.height;
+            document.getElementById('pergolaLayoutPillarSpacing').value = this.layout.pillarSpacing;
+            document.getElementById('pergolaLayoutRafterSpacing').value = this.layout.rafterSpacing;
+            document.getElementById('pergolaLayoutUnit').value = this.layout.unit;
+        }
         
         // Update UI
+        const shape = this.currentMaterial.shape || window.materialDB.inferShape(this.currentMaterial);
+        document.getElementById('pergolaMaterialShape').value = shape;
+        window.materialDB.applyShapeToForm('pergolaMaterial', shape);
         document.getElementById('pergolaMaterialWidth').value = this.currentMaterial.width;
         document.getElementById('pergolaMaterialDepth').value = this.currentMaterial.depth;
         document.getElementById('pergolaMaterialThickness').value = this.currentMaterial.thickness;
         document.getElementById('pergolaMaterialWeight').value = this.currentMaterial.weight;
         document.getElementById('pergolaWeightUnit').value = this.currentMaterial.weightUnit;
+        document.getElementById('pergolaMaterialMetal').value = this.currentMaterial.metal || 'MS';
+        window.materialDB.setWeightSource('pergola', this.currentMaterial.weightSource || 'manual', this.currentMaterial.metal);
         document.getElementById('pergolaMaterialRate').value = this.currentMaterial.rate;
         document.getElementById('pergolaMaterialDescription').value = this.currentMaterial.description || '';
         
+        this.renderMemberMaterials();
         this.renderRequirements();
         this.updateTotals();
         this.renderHardware();
         this.updateHardwareTotals();
-        this.renderGlass();
-        this.updateGlassTotals();
+        this.renderRoofing();
+        this.updateRoofingTotals();
+        window.chargeCalculator.updateCharges('pergola', this);
     }
 }
 
@@ -16,6 +16,7 @@ class QuotationManager {
         this.customerInfo = null;
         this.additionalNotes = '';
         this.stockLengths = [];
+        this.quotationDate = null; // ISO date of a loaded quotation, null for a new one
     }
 
     /**
@@ -348,6 +349,8 @@ class QuotationManager {
                 rateDisplay = 'Various';
             } else if (item.rate) {
                 rateDisplay = `₹${utils.formatCurrency(item.rate)} per ${item.unit}`;
+            } else if (item.details && item.details.material && item.details.material.rate) {
+                rateDisplay = `₹${utils.formatCurrency(item.details.material.rate)} per kg${this.getRateBookNote(item.details.material)}`;
             } else {
                 rateDisplay = '-';
             }
@@ -378,6 +381,36 @@ class QuotationManager {
         });
     }
 
+    /**
+     * Get the quotation date as YYYY-MM-DD
+     * @returns {string} - The date of a loaded quotation, or today for a new one
+     */
+    getQuotationDate() {
+        if (!this.quotationDate) return utils.formatLocalDate();
+        
+        // Saved quotations hold the time they were made; a bare date is already a local date
+        return /^\d{4}-\d{2}-\d{2}$/.test(this.quotationDate)
+            ? this.quotationDate
+            : utils.formatLocalDate(new Date(this.quotationDate));
+    }
+
+    /**
+     * Describe the rate book rate that was in force on the quotation date
+     * @param {Object} material - The item's material details
+     * @returns {string} - HTML note, or an empty string if the rate book has no rate
+     */
+    getRateBookNote(material) {
+        if (!window.rateBook || !material.width) return '';
+        
+        const entry = window.rateBook.getRate(material, material.metal || 'MS', this.getQuotationDate());
+        if (!entry) return '';
+        
+        // Highlight quotes priced differently from the rate book
+        const differs = Math.abs(entry.rate - material.rate) > 0.001;
+        
+        return `<small class="rate-book-note${differs ? ' differs' : ''}">Rate book: ₹${utils.formatCurrency(entry.rate)}/kg from ${entry.effectiveFrom}</small>`;
+    }
+
     /**
      * Update calculations (subtotal, discount, GST, total)
      */
@@ -418,6 +451,7 @@ class QuotationManager {
      */
     clearQuotation() {
         this.items = [];
+        this.quotationDate = null;
         this.renderItems();
         this.updateCalculations();
     }
@@ -433,7 +467,7 @@ class QuotationManager {
         
         // Get customer name for filename or use default
         const customerName = this.customerInfo?.customerName || 'quotation';
-        const date = new Date().toISOString().split('T')[0];
+        const date = utils.formatLocalDate();
         const filename = `${customerName.replace(/\s+/g, '_')}_${date}.json`;
         
         // Create quotation data
@@ -448,7 +482,7 @@ class QuotationManager {
             companyInfo: this.companyInfo,
             customerInfo: this.customerInfo,
             additionalNotes: this.additionalNotes,
-            date: new Date().toISOString()
+            date: this.quotationDate || new Date().toISOString()
         };
         
         // Download as JSON file
@@ -500,6 +534,7 @@ class QuotationManager {
         
         // Load items
         this.items = data.items;
+        this.quotationDate = data.date || null;
         
         // Load calculations
         this.subtotal = data.subtotal;
@@ -846,11 +881,22 @@ class QuotationManager {
             let row = 1;
             let currentY = tableTop + 10;
             let totalAmount = 0;
+            const sketchOverflow = []; // Windows whose sketches don't fit under their line, drawn after the table
             
             // Process each item in the table
             this.items.forEach((item, index) => {
-                // Check if we need a new page
-                if (currentY > 250) {
+                // Windows get an elevation sketch of each window below their description; a long line
+                // keeps its first rows of sketches there and the rest go to the Window Elevations page
+                const sketchWindows = item.type === 'Window' && item.details && item.details.windows
+                    ? item.details.windows.filter(w => w.elevation)
+                    : [];
+                const sketches = this.getWindowSketchLayout(sketchWindows, columnWidths[1] - 10, 6);
+                if (sketches.overflow.length > 0) {
+                    sketchOverflow.push({ line: index + 1, windows: sketches.overflow });
+                }
+                
+                // Check if we need a new page, also when the sketches would run off this one
+                if (currentY > 250 || (sketches.height > 0 && currentY + sketches.height + 20 > 280)) {
                     doc.addPage();
                     currentY = 40;
                     
@@ -970,6 +1016,12 @@ class QuotationManager {
                         dimensions += `Pattern: ${item.details.pattern}`;
                     }
                     
+                    // Flag beams and rafters beyond their recommended span
+                    if (item.details && item.details.spanWarnings && item.details.spanWarnings.length > 0) {
+                        if (dimensions) dimensions += '\n';
+                        dimensions += `Span check: ${item.details.spanWarnings.join('; ')}`;
+                    }
+                    
                     // Get unit price for pergola or grill
                     unitPrice = item.rate || (item.amount / item.quantity);
                 } else if (item.width && item.height) {
@@ -987,10 +1039,12 @@ class QuotationManager {
                 const dimensionLines = wrappedDimensions.length;
                 const descriptionLines = wrappedDescription.length;
                 const maxLines = Math.max(dimensionLines, descriptionLines);
-                const rowHeight = Math.max(10, maxLines * 5 + 3); // Increased minimum height and added buffer
+                
+                const rowHeight = Math.max(10, maxLines * 5 + 3, sketches.height ? descriptionLines * 5 + sketches.height + 6 : 0); // Increased minimum height and added buffer
+                const tallRow = maxLines > 1 || rowHeight > 10;
 
                 // Adjust background rectangle height if needed
-                if (maxLines > 1) {
+                if (tallRow) {
                     // Redraw taller background with transparent color
                     doc.setFillColor(255, 255, 255); // Transparent background
                     doc.rect(tableX, currentY - 2, 185, rowHeight, 'F');
@@ -1036,8 +1090,27 @@ class QuotationManager {
                     doc.text(wrappedDescription[i], tableX + columnWidths[0] + 5, lineY);
                 }
                 
+                // Draw the window sketches under the description, each with its mark (or size) below it
+                sketches.cells.forEach(cell => {
+                    const x = tableX + columnWidths[0] + 5 + cell.x;
+                    const y = firstLineY + descriptionLines * 5 + cell.y;
+                    
+                    this.drawWindowElevation(doc, cell.elevation, x, y, sketches.cellWidth, sketches.cellHeight);
+                    
+                    doc.setFontSize(6);
+                    doc.text(cell.caption, x, y + sketches.cellHeight + 3);
+                    doc.setFontSize(9);
+                });
+                
+                if (sketches.overflow.length > 0) {
+                    doc.setFontSize(7);
+                    doc.text(`+${sketches.overflow.length} more, see Window Elevations`,
+                        tableX + columnWidths[0] + 5, firstLineY + descriptionLines * 5 + sketches.height - 2);
+                    doc.setFontSize(9);
+                }
+                
                 // Adjust current Y position based on taller rows if needed
-                if (maxLines > 1) {
+                if (tallRow) {
                     currentY += rowHeight;
                 } else {
                     currentY += 10;
@@ -1116,6 +1189,50 @@ class QuotationManager {
                 doc.text(notesText, 20, 35);
             }
             
+            // Draw the window sketches that didn't fit under their quotation line
+            if (sketchOverflow.length > 0) {
+                doc.addPage();
+                doc.setFontSize(12);
+                doc.setFont(undefined, 'bold');
+                doc.text('Window Elevations', 105, 20, { align: 'center' });
+                doc.setFont(undefined, 'normal');
+                
+                let sketchY = 35;
+                sketchOverflow.forEach(({ line, windows }) => {
+                    const layout = this.getWindowSketchLayout(windows, 170);
+                    
+                    // Keep the heading with the first row of sketches
+                    if (sketchY + 5 + layout.rowPitch > 280) {
+                        doc.addPage();
+                        sketchY = 20;
+                    }
+                    
+                    doc.setFontSize(10);
+                    doc.text(`Item ${line} (continued)`, 20, sketchY);
+                    sketchY += 5;
+                    
+                    // Rows of sketches continue on a new page when the page is full
+                    let rowOffset = 0;
+                    layout.cells.forEach(cell => {
+                        if (sketchY + cell.y - rowOffset + layout.rowPitch > 280) {
+                            doc.addPage();
+                            sketchY = 20;
+                            rowOffset = cell.y;
+                        }
+                        
+                        const x = 20 + cell.x;
+                        const y = sketchY + cell.y - rowOffset;
+                        this.drawWindowElevation(doc, cell.elevation, x, y, layout.cellWidth, layout.cellHeight);
+                        
+                        doc.setFontSize(6);
+                        doc.text(cell.caption, x, y + layout.cellHeight + 3);
+                    });
+                    
+                    sketchY += layout.height - rowOffset + 5;
+                });
+                doc.setFontSize(9);
+            }
+            
             // Only add cutting plan section if the checkbox is checked
             const generateCuttingPlanChecked = document.getElementById('generateCuttingPlan').checked;
             
@@ -1172,7 +1289,8 @@ class QuotationManager {
                                     unit: req.unit,
                                     sizeInMm: Math.round(sizeInMm),
                                     quantity: 1,
-                                    itemType: req.itemType
+                                    itemType: req.itemType,
+                                    material: req.material // Set when the row has its own material
                                 });
                             }
                         });
@@ -1195,29 +1313,27 @@ class QuotationManager {
                 if (allRequirements.length > 0) {
                     // Group materials by dimensions to create separate cutting plans
                     const materialsByDimension = {};
+                    const materialForDimension = {}; // Material details of each group, for catalogue stock lookups
                     
                     // Group requirements by material dimensions
                     allRequirements.forEach(req => {
-                        if (req.type === 'Grill' || req.type === 'Pergola') {
+                        if (req.type === 'Grill' || req.type === 'Pergola' || req.type === 'Window') {
                             // Find the material used
                             const item = this.items.find(item => 
                                 item.type === req.type && 
                                 (item.description === req.description || item.name === req.description)
                             );
                             
-                            let materialKey = "standard";
-                            if (item && item.details && item.details.material) {
-                                const material = item.details.material;
-                                materialKey = `${material.width || ''}x${material.depth || ''}x${material.thickness || ''}`;
-                                
-                                // If we don't have dimensions, try to use type
-                                if (materialKey === 'xx') {
-                                    materialKey = material.type || "standard";
-                                }
-                            }
+                            // Rows with their own material are grouped by it, others by the item's material
+                            const material = req.material || (item && item.details ? item.details.material : null);
+                            const materialKey = this.getMaterialGroupKey(material);
                             
                             if (!materialsByDimension[materialKey]) {
                                 materialsByDimension[materialKey] = [];
+                                
+                                if (material && material.width) {
+                                    materialForDimension[materialKey] = material;
+                                }
                             }
                             
                             materialsByDimension[materialKey].push(req);
@@ -1247,8 +1363,14 @@ class QuotationManager {
                                 currentY = 20;
                             }
                             
+                            // Use the stock lengths recorded for this profile in the catalogue, if any
+                            const groupMaterial = materialForDimension[dimensionKey];
+                            const profileStock = groupMaterial ? window.materialDB.getStockInfo(groupMaterial) : null;
+                            const hasProfileLengths = profileStock && profileStock.stockLengths.length > 0;
+                            const groupStockLengths = hasProfileLengths ? profileStock.stockLengths : stockLengths;
+                            
                             // Calculate cutting plan for this dimension group
-                            const dimensionCuttingPlan = this.calculateCuttingPlan(dimensionReqs, stockLengths);
+                            const dimensionCuttingPlan = this.calculateCuttingPlan(dimensionReqs, groupStockLengths);
                             
                             // Add header for this dimension
                             doc.setFillColor(242, 242, 242);
@@ -1262,13 +1384,23 @@ class QuotationManager {
                             
                             // Stock length information
                             doc.setFontSize(10);
-                            if (useMultipleStockLengths && stockLengths.length > 0) {
+                            if (hasProfileLengths) {
+                                doc.text(`Profile Stock Lengths: ${groupStockLengths.map(l => `${l}mm`).join(', ')} (from material database)`, 20, currentY);
+                            } else if (useMultipleStockLengths && stockLengths.length > 0) {
                                 doc.text(`Available Stock Lengths: ${stockLengths.map(l => `${l}mm`).join(', ')}`, 20, currentY);
                             } else {
                                 doc.text(`Standard Stock Length: ${stockLengths[0]}mm`, 20, currentY);
                             }
                             currentY += 10;
                             
+                            // Pieces longer than any stock bar can't be planned
+                            if (dimensionCuttingPlan.oversized.length > 0) {
+                                doc.setTextColor(231, 76, 60);
+                                doc.text(`Too long for stock: ${dimensionCuttingPlan.oversized.map(piece => `${piece.size}mm`).join(', ')} (needs joining or special order)`, 20, currentY);
+                                doc.setTextColor(0, 0, 0);
+                                currentY += 8;
+                            }
+                            
                             // Material Requirements Table
                             doc.setFontSize(11);
                             doc.setFont(undefined, 'bold');
@@ -1365,25 +1497,17 @@ class QuotationManager {
                             const totalLengthUsed = dimensionCuttingPlan.stockPieces.reduce((sum, piece) => sum + piece.used, 0);
                             const totalLengthAvailable = dimensionCuttingPlan.stockPieces.reduce((sum, piece) => sum + piece.length, 0);
                             const totalWaste = totalLengthAvailable - totalLengthUsed;
-                            const wastePercentage = ((totalWaste / totalLengthAvailable) * 100).toFixed(1);
+                            const wastePercentage = totalLengthAvailable > 0 ? ((totalWaste / totalLengthAvailable) * 100).toFixed(1) : 0;
                             
                             // Get material weight if available
                             let materialWeight = 0;
                             let materialInfo = '';
                             
-                            // Try to find material weight from items
-                            this.items.forEach(item => {
-                                if ((item.type === 'Grill' || item.type === 'Pergola') && 
-                                    item.details && item.details.material) {
-                                    const material = item.details.material;
-                                    const materialKeyFromItem = `${material.width || ''}x${material.depth || ''}x${material.thickness || ''}`;
-                                    
-                                    if (materialKeyFromItem === dimensionKey && material.weight) {
-                                        materialWeight = material.weight;
-                                        materialInfo = this.getMaterialDetails(material);
-                                    }
-                                }
-                            });
+                            // Use the weight of the material this group was cut from
+                            if (groupMaterial && groupMaterial.weight) {
+                                materialWeight = groupMaterial.weight;
+                                materialInfo = this.getMaterialDetails(groupMaterial);
+                            }
                             
                             // Draw summary box
                             doc.setFillColor(240, 240, 240);
@@ -1415,6 +1539,12 @@ class QuotationManager {
                                 totalOverallWeight += totalWeightKg;
                             }
                             
+                            // Compare with the bars on hand for this profile
+                            if (profileStock && profileStock.onHand !== undefined) {
+                                const shortfall = Math.max(totalStockPieces - profileStock.onHand, 0);
+                                doc.text(`On Hand: ${profileStock.onHand} pieces${shortfall > 0 ? `, to purchase: ${shortfall}` : ''}`, 105, currentY + 34);
+                            }
+                            
                             currentY += 45;
                             
                             // Add cutting diagrams
@@ -1791,6 +1921,15 @@ class QuotationManager {
             stockLengths = [6000]; // Default 6m
         }
         
+        // Set aside pieces that don't fit even the longest stock length
+        const longestStock = Math.max(...stockLengths);
+        const oversized = allPieces.filter(piece => piece.size + 5 > longestStock);
+        for (let i = allPieces.length - 1; i >= 0; i--) {
+            if (allPieces[i].size + 5 > longestStock) {
+                allPieces.splice(i, 1);
+            }
+        }
+        
         // First-fit decreasing bin packing algorithm
         while (allPieces.length > 0) {
             // Pick the longest available stock length
@@ -1850,7 +1989,8 @@ class QuotationManager {
         return {
             stockPieces,
             waste,
-            stockUsage
+            stockUsage,
+            oversized
         };
     }
 
@@ -1864,7 +2004,22 @@ class QuotationManager {
         
         if (item.details && item.details.windows && item.details.windows.length > 0) {
             const window = item.details.windows[0];
-            details = `${Math.round(window.width)}mm × ${Math.round(window.height)}mm`;
+            // Sizes are kept in each window's own unit (items saved before units were stored are in mm)
+            const toMm = (w, value) => Math.round(utils.convertLength(value, w.unit || 'mm', 'mm'));
+            details = `${toMm(window, window.width)}mm × ${toMm(window, window.height)}mm`;
+            
+            // Schedule marks and locations of all windows on the line
+            const marks = item.details.windows.filter(w => w.mark)
+                .map(w => `${w.mark} (${toMm(w, w.width)}×${toMm(w, w.height)} mm${w.quantity > 1 ? ` ×${w.quantity}` : ''})`);
+            const locations = [...new Set(item.details.windows.map(w => w.location).filter(location => location))];
+            
+            if (marks.length > 0) {
+                details += `\nMarks: ${marks.join(', ')}`;
+            }
+            
+            if (locations.length > 0) {
+                details += `\nLocation: ${locations.join(', ')}`;
+            }
             
             // Add separate sections for better organization with line breaks
             let mainSpecs = [];
@@ -1890,6 +2045,10 @@ class QuotationManager {
                 mainSpecs.push(`${window.profileDepth}mm profile`);
             }
             
+            if (window.systemName) {
+                mainSpecs.push(window.systemName);
+            }
+            
             // Hardware details
             if (window.hardware) {
                 if (typeof window.hardware === 'string') {
@@ -1929,8 +2088,9 @@ class QuotationManager {
                 glazingSpecs.push(`${window.glassThickness}mm thick`);
             }
             
-            if (window.glazingType || window.glazing) {
-                const glazing = window.glazingType || window.glazing;
+            // Profile windows carry their glass panels as a list, which is not a glazing description
+            const glazing = window.glazingType || (typeof window.glazing === 'string' ? window.glazing : '');
+            if (glazing) {
                 glazingSpecs.push(`${glazing}`);
             }
             
@@ -2005,6 +2165,109 @@ class QuotationManager {
         return details;
     }
 
+    /**
+     * Draw a window elevation sketch into the PDF
+     * @param {Object} doc - The jsPDF document
+     * @param {Object} elevation - The sketch with width, height (mm) and shapes, from WindowManager.getElevationShapes
+     * @param {number} x - Left edge in the PDF
+     * @param {number} y - Top edge in the PDF
+     * @param {number} maxWidth - Available width in the PDF
+     * @param {number} maxHeight - Available height in the PDF
+     */
+    drawWindowElevation(doc, elevation, x, y, maxWidth, maxHeight) {
+        const scale = Math.min(maxWidth / elevation.width, maxHeight / elevation.height);
+        const px = value => x + value * scale;
+        const py = value => y + value * scale;
+        
+        doc.setDrawColor(60, 60, 60);
+        doc.setLineWidth(0.2);
+        
+        elevation.shapes.forEach(shape => {
+            if (shape.type === 'rect') {
+                if (shape.fill === 'glass') {
+                    doc.setFillColor(220, 235, 245);
+                    doc.rect(px(shape.x), py(shape.y), shape.w * scale, shape.h * scale, 'FD');
+                } else {
+                    doc.rect(px(shape.x), py(shape.y), shape.w * scale, shape.h * scale);
+                }
+            } else if (shape.type === 'line') {
+                if (shape.dashed) doc.setLineDashPattern([0.8, 0.6], 0);
+                doc.line(px(shape.x1), py(shape.y1), px(shape.x2), py(shape.y2));
+                if (shape.dashed) doc.setLineDashPattern([], 0);
+            } else if (shape.type === 'arrow') {
+                // Arrow head of two short strokes at the end
+                const angle = Math.atan2(shape.y2 - shape.y1, shape.x2 - shape.x1);
+                const head = 1.2;
+                doc.line(px(shape.x1), py(shape.y1), px(shape.x2), py(shape.y2));
+                [angle + 2.6, angle - 2.6].forEach(a => {
+                    doc.line(px(shape.x2), py(shape.y2), px(shape.x2) + head * Math.cos(a), py(shape.y2) + head * Math.sin(a));
+                });
+            } else if (shape.type === 'text') {
+                doc.setFontSize(6);
+                doc.text(shape.text, px(shape.x), py(shape.y) + 1, { align: 'center' });
+                doc.setFontSize(9);
+            }
+        });
+        
+        // Restore the table drawing style
+        doc.setDrawColor(220, 220, 220);
+        doc.setFillColor(255, 255, 255);
+    }
+
+    /**
+     * Lay out the elevation sketches of a window line, one per window, in rows
+     * @param {Array} windows - The windows with their elevation
+     * @param {number} maxWidth - The width available in mm
+     * @param {number} maxRows - The most rows of sketches to lay out; the remaining windows are returned as overflow
+     * @returns {Object} - Object with the cells (elevation, caption and offset in mm), cell size, row pitch, total height and overflow windows
+     */
+    getWindowSketchLayout(windows, maxWidth, maxRows = Infinity) {
+        // Each sketch fits a small box with a caption line below it
+        const cellWidth = 15;
+        const cellHeight = 14;
+        const rowPitch = cellHeight + 6;
+        const gap = 2.5;
+        const perRow = Math.max(1, Math.floor((maxWidth + gap) / (cellWidth + gap)));
+        const shown = windows.slice(0, maxRows * perRow);
+        const overflow = windows.slice(shown.length);
+        
+        const cells = shown.map((w, i) => ({
+            elevation: w.elevation,
+            caption: w.mark || `${Math.round(w.elevation.width)}×${Math.round(w.elevation.height)}`,
+            x: (i % perRow) * (cellWidth + gap),
+            y: Math.floor(i / perRow) * rowPitch
+        }));
+        
+        // A line with overflow keeps room for the note pointing to the rest
+        return {
+            cells,
+            cellWidth,
+            cellHeight,
+            rowPitch,
+            height: Math.ceil(cells.length / perRow) * rowPitch + (overflow.length > 0 ? 4 : 0),
+            overflow
+        };
+    }
+
+    /**
+     * Get the key requirements are grouped by in the cutting plan
+     * @param {Object|null} material - The material of the requirement
+     * @returns {string} - e.g. "RHS 40x20x2", the material type, or "standard"
+     */
+    getMaterialGroupKey(material) {
+        if (!material) return 'standard';
+        
+        const materialKey = `${material.width || ''}x${material.depth || ''}x${material.thickness || ''}`;
+        
+        // If we don't have dimensions, try to use type
+        if (materialKey === 'xx') {
+            return material.type || 'standard';
+        }
+        
+        // Keep sections of different shapes with equal dimensions apart
+        return material.shape ? `${material.shape} ${materialKey}` : materialKey;
+    }
+
     /**
      * Get formatted material details string
      * @param {Object} material - The material object
@@ -0,0 +1,235 @@
+/**
+ * Rate Book Module
+ * Keeps the rate per kg of catalogue profiles and metal grades with effective-from dates
+ */
+
+class RateBook {
+    constructor() {
+        this.rates = []; // { id, materialKey, metal, rate, effectiveFrom } - a null materialKey applies to every profile of the metal
+        this.material = null; // Profile currently open in the rate panel
+        this.form = null;
+    }
+
+    /**
+     * Initialize the rate book
+     */
+    init() {
+        this.loadRates();
+        
+        this.form = document.getElementById('materialRateForm');
+        window.materialDB.populateMetalSelect(document.getElementById('materialRateMetal'));
+        
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for the rate panel
+     */
+    setupEventListeners() {
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRateFromForm();
+        });
+        
+        document.getElementById('closeMaterialRateBtn').addEventListener('click', () => {
+            this.hidePanel();
+        });
+        
+        // Show the history of the chosen metal
+        document.getElementById('materialRateMetal').addEventListener('change', () => {
+            this.renderHistory();
+        });
+    }
+
+    /**
+     * Load the rate book from localStorage
+     */
+    loadRates() {
+        this.rates = utils.loadFromLocalStorage('rateBook') || [];
+    }
+
+    /**
+     * Save the rate book to localStorage
+     */
+    saveRates() {
+        utils.saveToLocalStorage('rateBook', this.rates);
+    }
+
+    /**
+     * Get today's date as YYYY-MM-DD
+     * @returns {string} - Today's date
+     */
+    today() {
+        return utils.formatLocalDate();
+    }
+
+    /**
+     * Get the rate in force for a profile and metal on a date.
+     * A rate for the profile itself wins over a rate for all profiles of the metal.
+     * @param {Object} material - The material with shape and dimensions
+     * @param {string} metal - The metal grade
+     * @param {string} date - The date as YYYY-MM-DD (defaults to today)
+     * @returns {Object|null} - The rate book entry or null if none is in force
+     */
+    getRate(material, metal = 'MS', date = null) {
+        const onDate = date || this.today();
+        const materialKey = window.materialDB.getMaterialKey(material);
+        
+        const latest = entries => entries
+            .filter(entry => entry.effectiveFrom <= onDate)
+            .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom))[0] || null;
+        
+        const forMetal = this.rates.filter(entry => entry.metal === metal);
+        
+        return latest(forMetal.filter(entry => entry.materialKey === materialKey)) ||
+            latest(forMetal.filter(entry => !entry.materialKey));
+    }
+
+    /**
+     * Get all rates that apply to a profile and metal, newest first
+     * @param {Object} material - The material with shape and dimensions
+     * @param {string} metal - The metal grade
+     * @returns {Array} - Rate book entries
+     */
+    getHistory(material, metal) {
+        const materialKey = window.materialDB.getMaterialKey(material);
+        
+        return this.rates
+            .filter(entry => entry.metal === metal && (!entry.materialKey || entry.materialKey === materialKey))
+            .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+    }
+
+    /**
+     * Add a rate to the rate book
+     * @param {Object|null} material - The profile, or null for all profiles of the metal
+     * @param {string} metal - The metal grade
+     * @param {number} rate - Rate per kg
+     * @param {string} effectiveFrom - Date the rate applies from, as YYYY-MM-DD
+     */
+    addRate(material, metal, rate, effectiveFrom) {
+        const materialKey = material ? window.materialDB.getMaterialKey(material) : null;
+        
+        // A new rate for the same profile, metal and date replaces the old one
+        this.rates = this.rates.filter(entry => !(
+            entry.materialKey === materialKey &&
+            entry.metal === metal &&
+            entry.effectiveFrom === effectiveFrom
+        ));
+        
+        this.rates.push({
+            id: utils.generateId(),
+            materialKey,
+            metal,
+            rate,
+            effectiveFrom
+        });
+        
+        this.saveRates();
+    }
+
+    /**
+     * Delete a rate from the rate book
+     * @param {string} id - The entry ID
+     */
+    deleteRate(id) {
+        this.rates = this.rates.filter(entry => entry.id !== id);
+        this.saveRates();
+        this.renderHistory();
+    }
+
+    /**
+     * Open the rate panel for a profile
+     * @param {Object} material - The profile
+     * @param {string} metal - The metal grade to show first
+     */
+    showPanel(material, metal = 'MS') {
+        this.material = material;
+        
+        document.getElementById('materialRateTitle').textContent =
+            `Rates for ${material.shape} ${window.materialDB.formatDimensions(material)}mm`;
+        document.getElementById('materialRateMetal').value = metal;
+        document.getElementById('materialRateValue').value = '';
+        document.getElementById('materialRateDate').value = this.today();
+        document.getElementById('materialRateAllProfiles').checked = false;
+        
+        this.form.style.display = 'block';
+        this.renderHistory();
+    }
+
+    /**
+     * Close the rate panel
+     */
+    hidePanel() {
+        this.form.style.display = 'none';
+        this.material = null;
+    }
+
+    /**
+     * Add a rate from the panel form
+     */
+    saveRateFromForm() {
+        const metal = document.getElementById('materialRateMetal').value;
+        const rate = parseFloat(document.getElementById('materialRateValue').value);
+        const effectiveFrom = document.getElementById('materialRateDate').value;
+        const allProfiles = document.getElementById('materialRateAllProfiles').checked;
+        
+        // Validate inputs
+        if (!rate || !effectiveFrom) {
+            utils.showNotification('Please enter a rate and effective date', true);
+            return;
+        }
+        
+        this.addRate(allProfiles ? null : this.material, metal, rate, effectiveFrom);
+        document.getElementById('materialRateValue').value = '';
+        
+        this.renderHistory();
+        window.materialDB.renderResults();
+    }
+
+    /**
+     * Render the rate history of the profile open in the panel
+     */
+    renderHistory() {
+        if (!this.material) return;
+        
+        const metal = document.getElementById('materialRateMetal').value;
+        const tbody = document.getElementById('materialRateHistoryTable').querySelector('tbody');
+        const current = this.getRate(this.material, metal);
+        tbody.innerHTML = '';
+        
+        const history = this.getHistory(this.material, metal);
+        if (history.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td colspan="4">No rates recorded</td>`;
+            tbody.appendChild(row);
+            return;
+        }
+        
+        history.forEach(entry => {
+            const row = document.createElement('tr');
+            if (current && current.id === entry.id) {
+                row.classList.add('current-rate');
+            }
+            
+            row.innerHTML = `
+                <td>${entry.effectiveFrom}</td>
+                <td>₹${utils.formatCurrency(entry.rate)}</td>
+                <td>${entry.materialKey ? 'This profile' : 'All profiles'}</td>
+                <td>
+                    <button class="delete-btn" title="Delete rate">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            `;
+            
+            row.querySelector('.delete-btn').addEventListener('click', () => {
+                this.deleteRate(entry.id);
+            });
+            
+            tbody.appendChild(row);
+        });
+    }
+}
+
+// Create global instance of the rate book
+window.rateBook = new RateBook();
@@ -218,6 +218,20 @@ function countWords(text) {
     return text.trim().split(/\s+/).length;
 }
 
+/**
+ * Escape text for use in HTML markup, such as cells built from an imported file
+ * @param {*} text - The text to escape
+ * @returns {string} - The escaped text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 /**
  * Show loading screen
  * @param {boolean} show - Whether to show or hide the loading screen
@@ -226,42 +240,163 @@ function showLoading(show = true) {
     document.getElementById('loadingScreen').style.display = show ? 'flex' : 'none';
 }
 
+// Unit words and marks accepted in size inputs, mapped to the app's length units
+const sizeUnitAliases = {
+    mm: 'mm',
+    cm: 'cm',
+    m: 'm',
+    in: 'inch',
+    inch: 'inch',
+    inches: 'inch',
+    '"': 'inch',
+    '″': 'inch',
+    ft: 'ft',
+    feet: 'ft',
+    foot: 'ft',
+    "'": 'ft',
+    '′': 'ft'
+};
+
+/**
+ * Parse a number written as a decimal, a fraction or a whole number with a fraction
+ * @param {string} text - The number text, e.g. "66.5", "1/2", "66 1/2" or "66-1/2"
+ * @returns {number} - The value
+ */
+function parseSizeNumber(text) {
+    const parts = text.trim().split(/[\s-]+/);
+    
+    return parts.reduce((sum, part) => {
+        if (part.includes('/')) {
+            const [numerator, denominator] = part.split('/').map(Number);
+            return sum + (denominator ? numerator / denominator : 0);
+        }
+        return sum + parseFloat(part);
+    }, 0);
+}
+
 /**
- * Parse size input to handle different formats (with or without unit)
+ * Parse size input to handle different formats: a plain number, a number with a unit,
+ * feet-inch notation (5'6", 5ft 6in, 5'-6 1/2"), fractions (66 1/2") and combined
+ * metric units (1m 20cm). Combined parts are added up in inches for feet-inch input
+ * and in mm otherwise.
  * @param {string} sizeInput - The size input from user
- * @returns {object} - Object with value and unit
+ * @returns {object} - Object with value and unit (unit is null when none was given)
  */
 function parseSizeInput(sizeInput) {
     if (!sizeInput) return { value: 0, unit: null };
     
-    // Regular expression to match number and optional unit
-    const regex = /^(\d+(\.\d+)?)\s*(mm|cm|m|inch|inches|ft|feet)?$/i;
-    const match = sizeInput.trim().match(regex);
+    // Two single quotes are often typed for the inch mark
+    const text = String(sizeInput).trim().toLowerCase().replace(/''/g, '"');
     
-    if (match) {
-        const value = parseFloat(match[1]);
-        let unit = (match[3] || '').toLowerCase();
+    // A number (fraction, or decimal with an optional fraction) and an optional unit
+    const partRegex = /(\d+\/\d+|\d+(?:\.\d+)?(?:[\s-]+\d+\/\d+)?)\s*(mm|cm|m|inches|inch|in|feet|foot|ft|"|″|'|′)?/y;
+    const separatorRegex = /[\s,+-]*/y;
+    const parts = [];
+    let position = 0;
+    
+    while (position < text.length) {
+        // Skip spaces and dashes between parts, as in 5'-6"
+        separatorRegex.lastIndex = position;
+        separatorRegex.exec(text);
+        position = separatorRegex.lastIndex;
+        if (position >= text.length) break;
         
-        // Normalize unit names
-        if (unit === 'inches') unit = 'inch';
-        if (unit === 'feet') unit = 'ft';
+        partRegex.lastIndex = position;
+        const match = partRegex.exec(text);
+        if (!match) return { value: 0, unit: null };
         
-        return {
-            value,
-            unit: unit || null
-        };
+        parts.push({
+            value: parseSizeNumber(match[1]),
+            unit: sizeUnitAliases[match[2]] || null
+        });
+        position = partRegex.lastIndex;
+        
+        // A unit must not run into further letters, e.g. "5 mtr"
+        if (/^[a-z]/.test(text.slice(position))) return { value: 0, unit: null };
     }
     
-    // If no valid match, assume it's just a number
-    const numericValue = parseFloat(sizeInput);
-    if (!isNaN(numericValue)) {
-        return {
-            value: numericValue,
-            unit: null
-        };
+    if (parts.length === 0) return { value: 0, unit: null };
+    if (parts.length === 1) return parts[0];
+    
+    // A bare number after feet is inches (5' 6); otherwise every part needs a unit
+    for (let i = 0; i < parts.length; i++) {
+        if (!parts[i].unit) {
+            if (i > 0 && parts[i - 1].unit === 'ft') {
+                parts[i].unit = 'inch';
+            } else {
+                return { value: 0, unit: null };
+            }
+        }
+    }
+    
+    // Feet and inches add up in inches (or feet), anything metric in mm
+    const imperial = parts.every(part => part.unit === 'ft' || part.unit === 'inch');
+    const unit = imperial
+        ? (parts.some(part => part.unit === 'inch') ? 'inch' : 'ft')
+        : 'mm';
+    const value = parts.reduce((sum, part) => sum + convertLength(part.value, part.unit, unit), 0);
+    
+    return {
+        value: roundToDecimals(value, 4),
+        unit
+    };
+}
+
+/**
+ * Parse a size input into a length in the given unit.
+ * Sizes typed with their own unit are converted; plain numbers are taken as being in the given unit.
+ * @param {string} sizeInput - The size input from user
+ * @param {string} unit - The target unit (mm, cm, inch, ft, m)
+ * @returns {number} - The length in the target unit, or 0 if the input isn't a size
+ */
+function parseLengthInput(sizeInput, unit) {
+    const parsed = parseSizeInput(sizeInput);
+    if (!parsed.value) return 0;
+    
+    return parsed.unit ? roundToDecimals(convertLength(parsed.value, parsed.unit, unit), 4) : parsed.value;
+}
+
+/**
+ * Describe how a size input was understood, for showing back to the user before adding
+ * @param {string} sizeInput - The size input from user
+ * @param {string} defaultUnit - The unit assumed for a plain number
+ * @returns {string} - The normalised size, e.g. "66 inch (1676.4 mm)", or an empty string for empty input
+ */
+function formatSizePreview(sizeInput, defaultUnit) {
+    if (!sizeInput || !String(sizeInput).trim()) return '';
+    
+    const parsed = parseSizeInput(sizeInput);
+    if (!parsed.value) return 'Size not recognised';
+    
+    const unit = parsed.unit || defaultUnit;
+    let preview = `= ${roundToDecimals(parsed.value, 3)} ${unit}`;
+    
+    if (unit !== 'mm') {
+        preview += ` (${roundToDecimals(convertLength(parsed.value, unit, 'mm'), 1)} mm)`;
     }
     
-    return { value: 0, unit: null };
+    return preview;
+}
+
+/**
+ * Show the normalised size under a size input as the user types
+ * @param {string} inputId - ID of the size input
+ * @param {string} unitId - ID of the unit select used for plain numbers
+ * @param {string} previewId - ID of the element showing the preview
+ */
+function bindSizePreview(inputId, unitId, previewId) {
+    const input = document.getElementById(inputId);
+    const unitSelect = document.getElementById(unitId);
+    const preview = document.getElementById(previewId);
+    
+    const update = () => {
+        const text = formatSizePreview(input.value, unitSelect.value);
+        preview.textContent = text;
+        preview.classList.toggle('invalid', text === 'Size not recognised');
+    };
+    
+    input.addEventListener('input', update);
+    unitSelect.addEventListener('change', update);
 }
 
 /**
@@ -276,6 +411,18 @@ function roundToDecimals(value, decimals = 2) {
     return Math.round(value * factor) / factor;
 }
 
+/**
+ * Format a date as YYYY-MM-DD in the local time zone.
+ * toISOString gives the UTC date, which is still the previous day for some hours after local midnight.
+ * @param {Date} date - The date (defaults to now)
+ * @returns {string} - The local date as YYYY-MM-DD
+ */
+function formatLocalDate(date = new Date()) {
+    const pad = value => String(value).padStart(2, '0');
+    
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
 /**
  * Download JSON data as a file
  * @param {Object} data - The data to download
@@ -377,9 +524,14 @@ window.utils = {
     showNotification,
     isValidNumber,
     countWords,
+    escapeHtml,
     showLoading,
     parseSizeInput,
+    parseLengthInput,
+    formatSizePreview,
+    bindSizePreview,
     roundToDecimals,
+    formatLocalDate,
     downloadJSON,
     loadJSON,
     isEmpty,
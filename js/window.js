@@ -3,12 +3,83 @@
  * Handles all profile window-related calculations and interactions
  */
 
+// Profile systems and their deductions (mm) for working out cut lengths.
+// Deductions are typical of domestic aluminium series; match them to the fabricator's system catalogue.
+const WINDOW_SYSTEMS = {
+    sliding2: {
+        name: '2-Track Sliding Series',
+        kind: 'sliding',
+        tracks: 2,
+        frameSightline: 20, // Frame visible on each side, taken off the shutter widths
+        sashHeightDeduction: 50, // Outer height less shutter height
+        interlockOverlap: 25, // Overlap of neighbouring shutters at each interlock
+        glazingDeduction: 60, // Shutter size less glass or mesh size
+        fixedGlazingDeduction: 20, // Clearance of fixed glass in the frame
+        profiles: { frame: 'Outer Frame', track: 'Bottom Track', sash: 'Shutter Sash', interlock: 'Interlock', transom: 'Transom' }
+    },
+    sliding3: {
+        name: '3-Track Sliding Series',
+        kind: 'sliding',
+        tracks: 3,
+        frameSightline: 20,
+        sashHeightDeduction: 50,
+        interlockOverlap: 25,
+        glazingDeduction: 60,
+        fixedGlazingDeduction: 20,
+        profiles: { frame: 'Outer Frame', track: 'Bottom Track', sash: 'Shutter Sash', interlock: 'Interlock', transom: 'Transom' }
+    },
+    casement: {
+        name: 'Casement Series',
+        kind: 'casement',
+        frameSightline: 45,
+        mullionWidth: 60, // Mullion between neighbouring sashes
+        sashLap: 8, // Sash lap over the frame opening on each side
+        glazingDeduction: 90,
+        fixedGlazingDeduction: 20,
+        profiles: { frame: 'Outer Frame', sash: 'Casement Sash', mullion: 'Mullion', transom: 'Transom' }
+    },
+    fixed: {
+        name: 'Fixed Glazing Series',
+        kind: 'fixed',
+        frameSightline: 45,
+        fixedGlazingDeduction: 20,
+        profiles: { frame: 'Outer Frame' }
+    }
+};
+
+// System used for glass and mesh sizes of windows quoted without a profile system
+const WINDOW_TYPE_SYSTEMS = {
+    '2-Track': 'sliding2',
+    '3-Track': 'sliding3',
+    'Openable': 'casement',
+    'Casement': 'casement',
+    'Fixed': 'fixed',
+    'Vent': 'fixed'
+};
+
+// Height of a top or bottom fixed light, including its transom, when none is entered (mm)
+const DEFAULT_FIXED_LIGHT_HEIGHT = 300;
+
+// Pricing rules until they are set: exact area, no minimum and no size bands
+const DEFAULT_WINDOW_PRICING_RULES = {
+    rounding: 0, // Round the chargeable area up to this step in sq.ft (0 for exact)
+    minimumAreas: {}, // Minimum chargeable sq.ft keyed by window type
+    bands: [] // { upTo, adjustment } - areas below upTo sq.ft (null for no limit) adjust the rate by adjustment %
+};
+
+// Hardware tiers priced on the rate card
+const WINDOW_HARDWARE_TIERS = ['Standard', 'Premium', 'Luxury'];
+
 class WindowManager {
     constructor() {
         this.windowForm = null;
         this.windows = [];
         this.totalArea = 0;
         this.totalAmount = 0;
+        this.glazingAmount = 0; // Glass and mesh priced on separate lines
+        this.editingWindowId = null; // Window row open for inline editing
+        this.pricingRules = null; // Minimum areas, rounding and size bands, loaded in init
+        this.rateCards = {}; // { rate, hardwareType, hardwareCosts } keyed by window type - rate per sq.ft, cost per tier
         this.quotationManager = null; // Will be set by app.js
     }
 
@@ -53,6 +124,15 @@ class WindowManager {
         // Get form elements
         this.windowForm = document.getElementById('windowDetailsForm');
         
+        // Load minimum areas, rounding and size bands
+        this.loadPricingRules();
+        this.renderPricingRules();
+        
+        // Load the rate card and fill the form for the selected window type
+        this.loadRateCards();
+        this.renderRateCards();
+        this.applyRateCard();
+        
         // Setup event listeners
         this.setupEventListeners();
     }
@@ -102,6 +182,42 @@ class WindowManager {
                 this.addToQuotation();
             });
         }
+        
+        // Show how the typed sizes are read
+        utils.bindSizePreview('windowWidth', 'windowUnit', 'windowWidthPreview');
+        utils.bindSizePreview('windowHeight', 'windowUnit', 'windowHeightPreview');
+        
+        // Pricing rules apply to all windows as soon as they change
+        document.getElementById('windowAreaRounding').addEventListener('change', (e) => {
+            this.pricingRules.rounding = parseFloat(e.target.value) || 0;
+            this.applyPricingRules();
+        });
+        
+        document.getElementById('addWindowBandBtn').addEventListener('click', () => {
+            this.addPricingBand();
+        });
+        
+        // Fill the rate and hardware from the rate card when the type or hardware tier changes
+        document.getElementById('windowType').addEventListener('change', () => {
+            this.applyRateCard();
+        });
+        
+        document.getElementById('hardwareType').addEventListener('change', () => {
+            this.applyRateCard(true);
+        });
+        
+        // A rate filled from the card follows the area unit; a rate typed by hand is left as entered
+        document.getElementById('windowRatePerUnit').addEventListener('input', (e) => {
+            delete e.target.dataset.source;
+        });
+        
+        document.getElementById('windowAreaUnit').addEventListener('change', (e) => {
+            const rateInput = document.getElementById('windowRatePerUnit');
+            const rate = this.getRateCardRate(document.getElementById('windowType').value, e.target.value);
+            if (rateInput.dataset.source === 'card' && rate > 0) {
+                rateInput.value = rate;
+            }
+        });
 
         // Update window table headers
         const windowTableHeaders = document.querySelector('#windowRequirementsTable thead tr');
@@ -125,10 +241,12 @@ class WindowManager {
      */
     addWindow() {
         // Get values from form
+        const mark = document.getElementById('windowMark').value.trim();
+        const location = document.getElementById('windowLocation').value.trim();
         const windowType = document.getElementById('windowType').value;
-        const width = parseFloat(document.getElementById('windowWidth').value);
-        const height = parseFloat(document.getElementById('windowHeight').value);
         const unit = document.getElementById('windowUnit').value;
+        const width = utils.parseLengthInput(document.getElementById('windowWidth').value, unit);
+        const height = utils.parseLengthInput(document.getElementById('windowHeight').value, unit);
         const quantity = parseInt(document.getElementById('windowQuantity').value);
         const areaUnit = document.getElementById('windowAreaUnit').value;
         const ratePerUnit = parseFloat(document.getElementById('windowRatePerUnit').value);
@@ -140,6 +258,7 @@ class WindowManager {
         const withMesh = document.getElementById('withMesh').checked;
         const topFixed = document.getElementById('topFixed').checked;
         const bottomFixed = document.getElementById('bottomFixed').checked;
+        const fixedHeight = utils.parseLengthInput(document.getElementById('fixedLightHeight').value, unit);
         
         // Hardware
         const hardwareType = document.getElementById('hardwareType').value;
@@ -148,6 +267,11 @@ class WindowManager {
         // Glass options
         const glassType = document.getElementById('windowGlassType').value || '';
         const glassThickness = parseFloat(document.getElementById('windowGlassThickness').value) || 0;
+        const glassRate = parseFloat(document.getElementById('windowGlassRate').value) || 0;
+        const meshRate = parseFloat(document.getElementById('windowMeshRate').value) || 0;
+        
+        // Profile system for the bill of materials
+        const system = document.getElementById('windowSystem').value;
         
         // Description
         const description = document.getElementById('windowDescription').value;
@@ -158,46 +282,26 @@ class WindowManager {
             return;
         }
         
-        // Calculate area based on dimensions and unit
-        const { area, areaInSqft } = this.calculateArea(width, height, unit, areaUnit);
-        
-        // Calculate area amount (per window): area × ratePerUnit
-        const areaAmount = area * ratePerUnit;
-        
-        // Calculate hardware cost (per window)
-        const hardwareCostPerWindow = hardwareCost;
-        
-        // Calculate total for single window: area amount + hardware cost
-        const windowUnitAmount = areaAmount + hardwareCostPerWindow;
-        
-        // Calculate final amount with quantity: (area amount + hardware cost) × quantity
-        const amount = windowUnitAmount * quantity;
-        
-        // Create window configuration description
-        const configDescription = this.createConfigDescription(
-            glassDoorsCount, meshDoorsCount, openableDoorsCount, 
-            withMesh, topFixed, bottomFixed
-        );
-        
-        // Add to windows array
-        const windowItem = {
-            id: utils.generateId(),
+        // Add to windows array, with area and amounts calculated from the dimensions
+        const windowItem = this.createWindow({
+            mark,
+            location,
             windowType,
             width,
             height,
             unit,
             quantity,
-            area,
             areaUnit,
             ratePerUnit,
             hardwareType,
-            hardwareCost: hardwareCostPerWindow,
-            areaAmount: areaAmount,
-            windowUnitAmount: windowUnitAmount,
-            amount,
+            hardwareCost,
             description,
             glassType,
             glassThickness,
+            glassRate,
+            meshRate,
+            fixedHeight,
+            system,
             configuration: {
                 glassDoorsCount,
                 meshDoorsCount,
@@ -205,9 +309,8 @@ class WindowManager {
                 withMesh,
                 topFixed,
                 bottomFixed
-            },
-            configDescription
-        };
+            }
+        });
         
         this.windows.push(windowItem);
         
@@ -219,6 +322,503 @@ class WindowManager {
         this.resetForm();
     }
 
+    /**
+     * Create a window from its fields, with an ID, configuration description, area and amounts
+     * @param {Object} fields - The window fields as read from the form or an imported schedule
+     * @returns {Object} - The window
+     */
+    createWindow(fields) {
+        const config = fields.configuration;
+        
+        return this.calculateWindowAmounts({
+            id: utils.generateId(),
+            ...fields,
+            configDescription: this.createConfigDescription(
+                config.glassDoorsCount, config.meshDoorsCount, config.openableDoorsCount,
+                config.withMesh, config.topFixed, config.bottomFixed
+            )
+        });
+    }
+
+    /**
+     * Add several windows at once, e.g. from an imported schedule
+     * @param {Array} fieldsList - Array of window fields
+     * @returns {number} - The number of windows added
+     */
+    addWindows(fieldsList) {
+        fieldsList.forEach(fields => {
+            this.windows.push(this.createWindow(fields));
+        });
+        
+        this.renderWindows();
+        this.updateTotals();
+        
+        return fieldsList.length;
+    }
+
+    /**
+     * Calculate the area and amounts of a window from its dimensions, rate and hardware
+     * @param {Object} windowItem - The window
+     * @returns {Object} - The window with area, amounts, profile bom and glazing set
+     */
+    calculateWindowAmounts(windowItem) {
+        // Calculate area based on dimensions and unit
+        const { area } = this.calculateArea(windowItem.width, windowItem.height, windowItem.unit, windowItem.areaUnit);
+        
+        // Minimum area, rounding and the size band decide what is charged
+        const chargeable = this.getChargeableArea(windowItem.windowType, area, windowItem.areaUnit);
+        const effectiveRate = utils.roundToDecimals(windowItem.ratePerUnit * (1 + (chargeable.band ? chargeable.band.adjustment : 0) / 100), 2);
+        
+        // Calculate area amount (per window): chargeable area × rate for the band
+        const areaAmount = chargeable.area * effectiveRate;
+        
+        // Calculate total for single window: area amount + hardware cost
+        const windowUnitAmount = areaAmount + windowItem.hardwareCost;
+        
+        // Calculate final amount with quantity: (area amount + hardware cost) × quantity
+        const amount = windowUnitAmount * windowItem.quantity;
+        
+        // Glass and mesh, priced on separate lines when they have a rate
+        const glazing = this.calculateGlazing(windowItem);
+        const glassArea = this.calculatePanelArea(glazing, 'glass');
+        const meshArea = this.calculatePanelArea(glazing, 'mesh');
+        
+        return {
+            ...windowItem,
+            area,
+            chargeableArea: chargeable.area,
+            chargeableNotes: chargeable.notes,
+            band: chargeable.band,
+            effectiveRate,
+            areaAmount,
+            windowUnitAmount,
+            amount,
+            bom: this.calculateProfileBOM(windowItem),
+            glazing,
+            glassArea,
+            meshArea,
+            glassAmount: glassArea * windowItem.quantity * (windowItem.glassRate || 0),
+            meshAmount: meshArea * windowItem.quantity * (windowItem.meshRate || 0)
+        };
+    }
+
+    /**
+     * Get the system whose deductions size a window's shutters and glass
+     * @param {Object} windowItem - The window
+     * @returns {Object|null} - The chosen profile system, else the usual one for the window type, or null
+     */
+    getWindowSystem(windowItem) {
+        return WINDOW_SYSTEMS[windowItem.system] || WINDOW_SYSTEMS[WINDOW_TYPE_SYSTEMS[windowItem.windowType]] || null;
+    }
+
+    /**
+     * Work out the shutters and fixed lights of a window from its size and door configuration.
+     * Sliding shutters are as wide as the glass shutters side by side; mesh shutters run on
+     * their own track at the same size. Top and bottom fixed lights take their height off the shutters.
+     * @param {Object} windowItem - The window with width, height, unit, fixedHeight and configuration
+     * @returns {Object|null} - The layout with system, sizes (mm) and shutter counts, or null without a system
+     */
+    getWindowLayout(windowItem) {
+        const system = this.getWindowSystem(windowItem);
+        if (!system) return null;
+        
+        const config = windowItem.configuration || {};
+        const width = utils.convertLength(windowItem.width, windowItem.unit, 'mm');
+        const height = utils.convertLength(windowItem.height, windowItem.unit, 'mm');
+        const fixedHeight = utils.convertLength(windowItem.fixedHeight || 0, windowItem.unit, 'mm') || DEFAULT_FIXED_LIGHT_HEIGHT;
+        
+        // A fixed window is a single light, other kinds can have fixed lights above or below
+        const fixedLights = system.kind === 'fixed' ? [] : ['top', 'bottom'].filter(position => config[`${position}Fixed`]);
+        const shutterZone = height - fixedLights.length * fixedHeight;
+        
+        const layout = { system, width, height, fixedHeight, fixedLights, glassShutters: 0, meshShutters: 0, sashWidth: 0, sashHeight: 0 };
+        
+        if (system.kind === 'sliding') {
+            // A 3-track window is two glass shutters and a mesh shutter unless the doors are given
+            layout.glassShutters = config.glassDoorsCount || (system.tracks === 3 ? 2 : system.tracks);
+            layout.meshShutters = config.meshDoorsCount ||
+                (config.withMesh || (system.tracks === 3 && !config.glassDoorsCount) ? 1 : 0);
+            layout.sashWidth = (width - 2 * system.frameSightline + (layout.glassShutters - 1) * system.interlockOverlap) / layout.glassShutters;
+            layout.sashHeight = shutterZone - system.sashHeightDeduction;
+        } else if (system.kind === 'casement') {
+            // One sash per openable door, split by mullions, with a mesh shutter per sash if asked for
+            layout.glassShutters = config.openableDoorsCount || 1;
+            layout.meshShutters = config.meshDoorsCount || (config.withMesh ? layout.glassShutters : 0);
+            layout.openingWidth = (width - 2 * system.frameSightline - (layout.glassShutters - 1) * system.mullionWidth) / layout.glassShutters;
+            layout.openingHeight = shutterZone - 2 * system.frameSightline;
+            layout.sashWidth = layout.openingWidth + 2 * system.sashLap;
+            layout.sashHeight = layout.openingHeight + 2 * system.sashLap;
+        }
+        
+        return layout;
+    }
+
+    /**
+     * Work out the profile cut lengths of one window from its layout.
+     * Sliding windows have a frame head and jambs, a bottom track, and shutters whose meeting
+     * stiles are interlocks; casement windows have a frame, mullions and a sash per openable door.
+     * Each top or bottom fixed light adds a transom.
+     * @param {Object} windowItem - The window with system, width, height, unit and configuration
+     * @returns {Array} - Cut lines with profile, name, length (mm) and quantity per window; empty without a system
+     */
+    calculateProfileBOM(windowItem) {
+        // Cut lengths need a profile system chosen for the window
+        if (!WINDOW_SYSTEMS[windowItem.system]) return [];
+        
+        const layout = this.getWindowLayout(windowItem);
+        const system = layout.system;
+        const { width, height } = layout;
+        const lines = [];
+        
+        // Lines of the same profile and length are merged
+        const add = (profile, length, quantity) => {
+            const rounded = Math.round(length);
+            if (quantity <= 0 || rounded <= 0) return;
+            
+            const line = lines.find(l => l.profile === profile && l.length === rounded);
+            if (line) {
+                line.quantity += quantity;
+            } else {
+                lines.push({ profile, name: system.profiles[profile], length: rounded, quantity });
+            }
+        };
+        
+        // Transoms between the frame jambs above or below the shutters
+        const addTransoms = () => add('transom', width - 2 * system.frameSightline, layout.fixedLights.length);
+        
+        if (system.kind === 'sliding') {
+            // Outer frame: head and jambs, with the track as the sill
+            add('frame', width, 1);
+            add('frame', height, 2);
+            add('track', width, 1);
+            addTransoms();
+            
+            // Glass shutters meeting at a joint both have an interlock stile, mesh shutters have one
+            const shutters = layout.glassShutters + layout.meshShutters;
+            const interlocks = 2 * (layout.glassShutters - 1) + layout.meshShutters;
+            
+            add('sash', layout.sashWidth, 2 * shutters);
+            add('sash', layout.sashHeight, 2 * shutters - interlocks);
+            add('interlock', layout.sashHeight, interlocks);
+        } else if (system.kind === 'casement') {
+            // Outer frame on all four sides
+            add('frame', width, 2);
+            add('frame', height, 2);
+            addTransoms();
+            
+            const shutters = layout.glassShutters + layout.meshShutters;
+            add('mullion', layout.openingHeight, layout.glassShutters - 1);
+            add('sash', layout.sashWidth, 2 * shutters);
+            add('sash', layout.sashHeight, 2 * shutters);
+        } else {
+            // Fixed glazing: frame only
+            add('frame', width, 2);
+            add('frame', height, 2);
+        }
+        
+        return lines;
+    }
+
+    /**
+     * Work out the glass and mesh panels of one window from its layout
+     * @param {Object} windowItem - The window
+     * @returns {Array} - Panels with material ('glass' or 'mesh'), position, width, height (mm) and quantity per window
+     */
+    calculateGlazing(windowItem) {
+        const layout = this.getWindowLayout(windowItem);
+        if (!layout) return [];
+        
+        const system = layout.system;
+        const panels = [];
+        
+        const add = (material, position, width, height, quantity) => {
+            if (quantity <= 0 || width <= 0 || height <= 0) return;
+            panels.push({ material, position, width: Math.round(width), height: Math.round(height), quantity });
+        };
+        
+        if (system.kind === 'fixed') {
+            add('glass', 'fixed', layout.width - 2 * system.frameSightline - system.fixedGlazingDeduction,
+                layout.height - 2 * system.frameSightline - system.fixedGlazingDeduction, 1);
+            return panels;
+        }
+        
+        // Shutter glass and mesh sit inside the sash profile
+        const paneWidth = layout.sashWidth - system.glazingDeduction;
+        const paneHeight = layout.sashHeight - system.glazingDeduction;
+        add('glass', 'shutter', paneWidth, paneHeight, layout.glassShutters);
+        add('mesh', 'shutter', paneWidth, paneHeight, layout.meshShutters);
+        
+        // Fixed lights are glazed between the frame, transom and jambs
+        layout.fixedLights.forEach(position => {
+            add('glass', position, layout.width - 2 * system.frameSightline - system.fixedGlazingDeduction,
+                layout.fixedHeight - system.frameSightline - system.fixedGlazingDeduction, 1);
+        });
+        
+        return panels;
+    }
+
+    /**
+     * Total the area of glass or mesh panels
+     * @param {Array} panels - The panels of one window
+     * @param {string} material - 'glass' or 'mesh'
+     * @returns {number} - The area per window in sq.ft
+     */
+    calculatePanelArea(panels, material) {
+        const areaInSqm = panels
+            .filter(panel => panel.material === material)
+            .reduce((sum, panel) => sum + (panel.width / 1000) * (panel.height / 1000) * panel.quantity, 0);
+        
+        return utils.roundToDecimals(utils.convertArea(areaInSqm, 'sqm', 'sqft'), 2);
+    }
+
+    /**
+     * Total the profile cut lengths of all windows
+     * @returns {Array} - Totals with system, name, pieces and length (mm), one per profile of each system
+     */
+    calculateProfileTotals() {
+        const totals = {};
+        
+        this.windows.forEach(window => {
+            (window.bom || []).forEach(line => {
+                const key = `${window.system}|${line.profile}`;
+                if (!totals[key]) {
+                    totals[key] = { system: WINDOW_SYSTEMS[window.system].name, name: line.name, pieces: 0, length: 0 };
+                }
+                totals[key].pieces += line.quantity * window.quantity;
+                totals[key].length += line.length * line.quantity * window.quantity;
+            });
+        });
+        
+        return Object.values(totals);
+    }
+
+    /**
+     * Render the profile totals below the windows table
+     */
+    renderProfileSummary() {
+        const summary = document.getElementById('windowProfileSummary');
+        const totals = this.calculateProfileTotals();
+        const glassTotals = this.calculateGlassTotals();
+        const meshArea = this.windows.reduce((sum, window) => sum + (window.meshArea || 0) * window.quantity, 0);
+        
+        let html = '';
+        
+        if (totals.length > 0) {
+            html += `
+                <h5>Profile Bill of Materials</h5>
+                ${totals.map(t => `<p>${t.system} - ${t.name}: ${t.pieces} pcs, ${utils.roundToDecimals(t.length / 1000, 2)} m</p>`).join('')}
+            `;
+        }
+        
+        if (glassTotals.length > 0 || meshArea > 0) {
+            html += `
+                <h5>Glass &amp; Mesh</h5>
+                ${glassTotals.map(t => `<p>${t.glassType || 'Glass'}${t.thickness ? ` ${t.thickness}mm` : ''}: ${utils.roundToDecimals(t.area, 2)} sq.ft</p>`).join('')}
+                ${meshArea > 0 ? `<p>Mesh: ${utils.roundToDecimals(meshArea, 2)} sq.ft</p>` : ''}
+            `;
+        }
+        
+        summary.innerHTML = html;
+    }
+
+    /**
+     * Build the elevation sketch of a window as shapes in mm, seen from outside.
+     * Sliding shutters carry arrows towards the way they slide, casement sashes the
+     * usual hinge triangle pointing at the hinge side, mesh is drawn as a grid and fixed lights are marked F.
+     * @param {Object} windowItem - The window
+     * @returns {Object} - The sketch with width, height (mm) and shapes (rect, line, arrow, text)
+     */
+    getElevationShapes(windowItem) {
+        const layout = this.getWindowLayout(windowItem);
+        const width = utils.convertLength(windowItem.width, windowItem.unit, 'mm');
+        const height = utils.convertLength(windowItem.height, windowItem.unit, 'mm');
+        const shapes = [{ type: 'rect', x: 0, y: 0, w: width, h: height }];
+        
+        // Without a system only the outline is known
+        if (!layout) return { width, height, shapes };
+        
+        const system = layout.system;
+        const frame = system.frameSightline;
+        const innerWidth = width - 2 * frame;
+        
+        // Grid lines over a rect, for mesh
+        const addMesh = (x, y, w, h) => {
+            const spacing = Math.max(w, h) / 8;
+            for (let gx = x + spacing; gx < x + w; gx += spacing) {
+                shapes.push({ type: 'line', x1: gx, y1: y, x2: gx, y2: y + h, dashed: true });
+            }
+            for (let gy = y + spacing; gy < y + h; gy += spacing) {
+                shapes.push({ type: 'line', x1: x, y1: gy, x2: x + w, y2: gy, dashed: true });
+            }
+        };
+        
+        // A fixed pane with its F mark
+        const addFixed = (x, y, w, h) => {
+            shapes.push({ type: 'rect', x, y, w, h, fill: 'glass' });
+            shapes.push({ type: 'text', x: x + w / 2, y: y + h / 2, text: 'F' });
+        };
+        
+        if (system.kind === 'fixed') {
+            addFixed(frame, frame, innerWidth, height - 2 * frame);
+            return { width, height, shapes };
+        }
+        
+        // Fixed lights above and below leave the shutter zone between them
+        let zoneTop = frame;
+        let zoneBottom = height - frame;
+        if (layout.fixedLights.includes('top')) {
+            addFixed(frame, frame, innerWidth, layout.fixedHeight - frame);
+            zoneTop = layout.fixedHeight;
+        }
+        if (layout.fixedLights.includes('bottom')) {
+            addFixed(frame, height - layout.fixedHeight, innerWidth, layout.fixedHeight - frame);
+            zoneBottom = height - layout.fixedHeight;
+        }
+        
+        const zoneHeight = zoneBottom - zoneTop;
+        const shutterWidth = innerWidth / layout.glassShutters;
+        const middle = zoneTop + zoneHeight / 2;
+        
+        for (let i = 0; i < layout.glassShutters; i++) {
+            const x = frame + i * shutterWidth;
+            shapes.push({ type: 'rect', x, y: zoneTop, w: shutterWidth, h: zoneHeight, fill: 'glass' });
+            
+            // Shutters on the left open towards the right and the other way round
+            const opensRight = layout.glassShutters === 1 || i < layout.glassShutters / 2;
+            
+            if (system.kind === 'sliding') {
+                const inset = shutterWidth * 0.25;
+                shapes.push(opensRight
+                    ? { type: 'arrow', x1: x + inset, y1: middle, x2: x + shutterWidth - inset, y2: middle }
+                    : { type: 'arrow', x1: x + shutterWidth - inset, y1: middle, x2: x + inset, y2: middle });
+            } else {
+                // Hinged on the outer side: lines from the handle side corners meet at the hinge side
+                const hingeX = opensRight ? x : x + shutterWidth;
+                const handleX = opensRight ? x + shutterWidth : x;
+                shapes.push({ type: 'line', x1: handleX, y1: zoneTop, x2: hingeX, y2: middle, dashed: true });
+                shapes.push({ type: 'line', x1: handleX, y1: zoneBottom, x2: hingeX, y2: middle, dashed: true });
+            }
+        }
+        
+        // Mesh shutters are drawn over the glass shutters from the right
+        for (let i = 0; i < Math.min(layout.meshShutters, layout.glassShutters); i++) {
+            addMesh(frame + (layout.glassShutters - 1 - i) * shutterWidth, zoneTop, shutterWidth, zoneHeight);
+        }
+        
+        // Tracks as lines in the sill
+        for (let t = 1; t <= (system.tracks || 0); t++) {
+            const y = height - frame + (frame * t) / (system.tracks + 1);
+            shapes.push({ type: 'line', x1: frame, y1: y, x2: width - frame, y2: y });
+        }
+        
+        return { width, height, shapes };
+    }
+
+    /**
+     * Draw an elevation sketch as inline SVG
+     * @param {Object} elevation - The sketch from getElevationShapes
+     * @param {number} size - The longer side of the drawing in px
+     * @returns {string} - SVG markup
+     */
+    createElevationSVG(elevation, size = 90) {
+        const scale = size / Math.max(elevation.width, elevation.height);
+        const round = value => Math.round(value * 10) / 10;
+        const stroke = 'stroke="currentColor" vector-effect="non-scaling-stroke"';
+        
+        const body = elevation.shapes.map(shape => {
+            switch (shape.type) {
+                case 'rect':
+                    return `<rect x="${round(shape.x)}" y="${round(shape.y)}" width="${round(shape.w)}" height="${round(shape.h)}" fill="${shape.fill === 'glass' ? 'rgba(52, 152, 219, 0.25)' : 'none'}" ${stroke}/>`;
+                case 'line':
+                    return `<line x1="${round(shape.x1)}" y1="${round(shape.y1)}" x2="${round(shape.x2)}" y2="${round(shape.y2)}" ${stroke}${shape.dashed ? ' stroke-dasharray="3 2" opacity="0.7"' : ''}/>`;
+                case 'arrow':
+                    return `<line x1="${round(shape.x1)}" y1="${round(shape.y1)}" x2="${round(shape.x2)}" y2="${round(shape.y2)}" ${stroke} marker-end="url(#window-arrow)"/>`;
+                case 'text':
+                    return `<text x="${round(shape.x)}" y="${round(shape.y)}" font-size="${round(12 / scale)}" text-anchor="middle" dominant-baseline="middle" fill="currentColor">${shape.text}</text>`;
+                default:
+                    return '';
+            }
+        }).join('');
+        
+        return `
+            <svg class="window-elevation" width="${round(elevation.width * scale)}" height="${round(elevation.height * scale)}" viewBox="0 0 ${round(elevation.width)} ${round(elevation.height)}">
+                <defs>
+                    <marker id="window-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="6" markerHeight="6" orient="auto">
+                        <path d="M0,0 L10,5 L0,10 z" fill="currentColor"/>
+                    </marker>
+                </defs>
+                ${body}
+            </svg>
+        `;
+    }
+
+    /**
+     * Describe how the area amount of a window was worked out, for the calc breakdown
+     * @param {Object} window - The window
+     * @returns {string} - Breakdown lines
+     */
+    formatChargeableBreakdown(window) {
+        const chargeableArea = window.chargeableArea !== undefined ? window.chargeableArea : window.area;
+        const rate = window.effectiveRate !== undefined ? window.effectiveRate : window.ratePerUnit;
+        const lines = [];
+        
+        if (window.chargeableNotes && window.chargeableNotes.length > 0) {
+            lines.push(`Area: ${window.area} ${window.areaUnit}, charged as ${chargeableArea} ${window.areaUnit} (${window.chargeableNotes.join(', ')})`);
+        }
+        
+        // The band is looked up again so its label follows the current bands
+        if (window.band && window.band.adjustment) {
+            const band = this.pricingRules.bands.find(b => b.upTo === window.band.upTo) || window.band;
+            lines.push(`Band ${this.getBandLabel(band)}: ${window.band.adjustment > 0 ? '+' : ''}${window.band.adjustment}% = ₹${utils.formatCurrency(rate)}/${window.areaUnit}`);
+        }
+        
+        lines.push(`Area: ${chargeableArea} ${window.areaUnit} × ₹${utils.formatCurrency(rate)} = ₹${utils.formatCurrency(window.areaAmount)}`);
+        
+        return lines.join('\n');
+    }
+
+    /**
+     * Format the glass and mesh panels of a window for the table
+     * @param {Array} glazing - The panels of one window
+     * @returns {string} - HTML list of panels
+     */
+    formatGlazing(glazing) {
+        const positions = { shutter: 'Shutter', top: 'Top fixed', bottom: 'Bottom fixed', fixed: 'Fixed' };
+        
+        return glazing
+            .map(panel => `${positions[panel.position]} ${panel.material}: ${panel.quantity} × ${panel.width}×${panel.height} mm`)
+            .join('<br>');
+    }
+
+    /**
+     * Total the glass area of all windows by thickness
+     * @returns {Array} - Totals with glassType, thickness and area (sq.ft)
+     */
+    calculateGlassTotals() {
+        const totals = {};
+        
+        this.windows.forEach(window => {
+            if (!window.glassArea) return;
+            
+            const key = `${window.glassType}|${window.glassThickness}`;
+            if (!totals[key]) {
+                totals[key] = { glassType: window.glassType, thickness: window.glassThickness, area: 0 };
+            }
+            totals[key].area += window.glassArea * window.quantity;
+        });
+        
+        return Object.values(totals);
+    }
+
+    /**
+     * Format the cut lines of a window for the table
+     * @param {Array} bom - The cut lines of one window
+     * @returns {string} - HTML list of cut lines
+     */
+    formatProfileBOM(bom) {
+        return bom.map(line => `${line.name}: ${line.quantity} × ${line.length} mm`).join('<br>');
+    }
+
     /**
      * Calculate area based on dimensions and unit
      * @param {number} width - The width
@@ -245,6 +845,323 @@ class WindowManager {
         };
     }
 
+    /**
+     * Work out the area charged for a window from the pricing rules.
+     * The minimum for the window type applies first, then rounding up, and the
+     * size band is looked up on the result. Rules are in sq.ft.
+     * @param {string} windowType - The window type
+     * @param {number} area - The exact area of one window
+     * @param {string} areaUnit - The area unit (sqft, sqm)
+     * @returns {Object} - Object with the chargeable area in the area unit, the size band (or null) and notes on what was applied
+     */
+    getChargeableArea(windowType, area, areaUnit) {
+        const rules = this.pricingRules;
+        const notes = [];
+        let areaInSqft = areaUnit === 'sqft' ? area : utils.convertArea(area, 'sqm', 'sqft');
+        
+        const minimum = rules.minimumAreas[windowType] || 0;
+        if (areaInSqft < minimum) {
+            areaInSqft = minimum;
+            notes.push(`minimum ${minimum} sq.ft for ${windowType}`);
+        }
+        
+        if (rules.rounding > 0) {
+            const rounded = Math.ceil(utils.roundToDecimals(areaInSqft / rules.rounding, 6)) * rules.rounding;
+            if (utils.roundToDecimals(rounded, 4) !== utils.roundToDecimals(areaInSqft, 4)) {
+                notes.push(`rounded up to ${rules.rounding} sq.ft`);
+            }
+            areaInSqft = rounded;
+        }
+        
+        // Bands are sorted by their upper limit, the open-ended band last
+        const band = rules.bands.find(b => b.upTo === null || areaInSqft < b.upTo) || null;
+        
+        return {
+            area: utils.roundToDecimals(areaUnit === 'sqft' ? areaInSqft : utils.convertArea(areaInSqft, 'sqft', 'sqm'), 2),
+            band,
+            notes
+        };
+    }
+
+    /**
+     * Describe the area range of a size band
+     * @param {Object} band - The band
+     * @returns {string} - e.g. "under 10 sq.ft", "10-30 sq.ft" or "30 sq.ft and above"
+     */
+    getBandLabel(band) {
+        const index = this.pricingRules.bands.indexOf(band);
+        const previous = index > 0 ? this.pricingRules.bands[index - 1] : null;
+        
+        if (band.upTo === null) {
+            return previous ? `${previous.upTo} sq.ft and above` : 'all sizes';
+        }
+        
+        return previous ? `${previous.upTo}-${band.upTo} sq.ft` : `under ${band.upTo} sq.ft`;
+    }
+
+    /**
+     * Load the pricing rules from localStorage
+     */
+    loadPricingRules() {
+        const saved = utils.loadFromLocalStorage('windowPricingRules') || {};
+        
+        this.pricingRules = {
+            rounding: saved.rounding || DEFAULT_WINDOW_PRICING_RULES.rounding,
+            minimumAreas: { ...DEFAULT_WINDOW_PRICING_RULES.minimumAreas, ...saved.minimumAreas },
+            bands: [...(saved.bands || DEFAULT_WINDOW_PRICING_RULES.bands)]
+        };
+    }
+
+    /**
+     * Save the pricing rules and reprice every window with them
+     */
+    applyPricingRules() {
+        utils.saveToLocalStorage('windowPricingRules', this.pricingRules);
+        
+        this.windows = this.windows.map(window => this.calculateWindowAmounts(window));
+        this.renderPricingRules();
+        this.renderWindows();
+        this.updateTotals();
+    }
+
+    /**
+     * Add a size band from the pricing rules form
+     */
+    addPricingBand() {
+        const upToValue = document.getElementById('windowBandUpTo').value.trim();
+        const upTo = upToValue ? parseFloat(upToValue) : null;
+        const adjustment = parseFloat(document.getElementById('windowBandAdjustment').value) || 0;
+        
+        // Validate inputs
+        if (upToValue && !(upTo > 0)) {
+            utils.showNotification('Please enter the area the band runs up to, or leave it blank for no limit', true);
+            return;
+        }
+        
+        // A band with the same limit is replaced
+        this.pricingRules.bands = this.pricingRules.bands
+            .filter(band => band.upTo !== upTo)
+            .concat({ upTo, adjustment })
+            .sort((a, b) => (a.upTo === null ? Infinity : a.upTo) - (b.upTo === null ? Infinity : b.upTo));
+        
+        document.getElementById('windowBandUpTo').value = '';
+        document.getElementById('windowBandAdjustment').value = '';
+        
+        this.applyPricingRules();
+    }
+
+    /**
+     * Delete a size band
+     * @param {number} index - The band index
+     */
+    deletePricingBand(index) {
+        this.pricingRules.bands = this.pricingRules.bands.filter((band, i) => i !== index);
+        this.applyPricingRules();
+    }
+
+    /**
+     * Load the rate cards from localStorage
+     */
+    loadRateCards() {
+        this.rateCards = utils.loadFromLocalStorage('windowRateCards') || {};
+    }
+
+    /**
+     * Save the rate cards to localStorage
+     */
+    saveRateCards() {
+        utils.saveToLocalStorage('windowRateCards', this.rateCards);
+    }
+
+    /**
+     * Get the rate card of a window type
+     * @param {string} windowType - The window type
+     * @returns {Object} - The rate card with rate per sq.ft, default hardware tier and cost per tier (0 where not set)
+     */
+    getRateCard(windowType) {
+        const card = this.rateCards[windowType] || {};
+        
+        return {
+            rate: card.rate || 0,
+            hardwareType: card.hardwareType || WINDOW_HARDWARE_TIERS[0],
+            hardwareCosts: { ...card.hardwareCosts }
+        };
+    }
+
+    /**
+     * Get the rate card rate of a window type in an area unit
+     * @param {string} windowType - The window type
+     * @param {string} areaUnit - The area unit (sqft, sqm)
+     * @returns {number} - The rate per area unit, 0 if the card has none
+     */
+    getRateCardRate(windowType, areaUnit) {
+        // The card rate is per sq.ft; convert it when the window is priced per sq.m
+        const rate = this.getRateCard(windowType).rate;
+        
+        return utils.roundToDecimals(areaUnit === 'sqft' ? rate : rate * utils.convertArea(1, 'sqm', 'sqft'), 2);
+    }
+
+    /**
+     * Update one field of a window type's rate card
+     * @param {string} windowType - The window type
+     * @param {string} field - 'rate', 'hardwareType' or a hardware tier
+     * @param {number|string} value - The new value
+     */
+    updateRateCard(windowType, field, value) {
+        const card = this.getRateCard(windowType);
+        
+        if (WINDOW_HARDWARE_TIERS.includes(field)) {
+            card.hardwareCosts[field] = value;
+        } else {
+            card[field] = value;
+        }
+        
+        this.rateCards[windowType] = card;
+        this.saveRateCards();
+        
+        // Refill the form if the card being edited is the selected type
+        if (document.getElementById('windowType').value === windowType) {
+            this.applyRateCard();
+        }
+    }
+
+    /**
+     * Fill the rate and hardware fields of the form from the rate card of the selected window type.
+     * Fields the card has no value for are left as they are.
+     * @param {boolean} hardwareOnly - Only fill the hardware cost for the selected tier
+     */
+    applyRateCard(hardwareOnly = false) {
+        const windowType = document.getElementById('windowType').value;
+        if (!this.rateCards[windowType]) return;
+        
+        const card = this.getRateCard(windowType);
+        
+        if (!hardwareOnly) {
+            const rate = this.getRateCardRate(windowType, document.getElementById('windowAreaUnit').value);
+            if (rate > 0) {
+                const rateInput = document.getElementById('windowRatePerUnit');
+                rateInput.value = rate;
+                rateInput.dataset.source = 'card';
+            }
+            
+            document.getElementById('hardwareType').value = card.hardwareType;
+        }
+        
+        const hardwareType = document.getElementById('hardwareType').value;
+        if (card.hardwareCosts[hardwareType] !== undefined) {
+            document.getElementById('hardwareCost').value = card.hardwareCosts[hardwareType];
+        }
+    }
+
+    /**
+     * Render the rate card table: one row per window type with its rate, default hardware tier and cost per tier
+     */
+    renderRateCards() {
+        const table = document.getElementById('windowRateCardTable');
+        
+        table.querySelector('thead tr').innerHTML = `
+            <th>Window Type</th>
+            <th>Rate (₹/sq.ft)</th>
+            <th>Default Hardware</th>
+            ${WINDOW_HARDWARE_TIERS.map(tier => `<th>${tier} (₹)</th>`).join('')}
+        `;
+        
+        const tbody = table.querySelector('tbody');
+        tbody.innerHTML = '';
+        
+        // Custom windows are priced by hand
+        Array.from(document.getElementById('windowType').options)
+            .filter(option => option.value !== 'Custom')
+            .forEach(option => {
+                const card = this.getRateCard(option.value);
+                const row = document.createElement('tr');
+                row.innerHTML = `
+                    <td>${option.textContent}</td>
+                    <td><input type="number" data-field="rate" step="0.01" min="0" value="${card.rate || ''}"></td>
+                    <td>
+                        <select data-field="hardwareType">
+                            ${WINDOW_HARDWARE_TIERS.map(tier => `<option value="${tier}" ${tier === card.hardwareType ? 'selected' : ''}>${tier}</option>`).join('')}
+                        </select>
+                    </td>
+                    ${WINDOW_HARDWARE_TIERS.map(tier => `
+                        <td><input type="number" data-field="${tier}" step="0.01" min="0" value="${card.hardwareCosts[tier] !== undefined ? card.hardwareCosts[tier] : ''}"></td>
+                    `).join('')}
+                `;
+                
+                row.querySelectorAll('[data-field]').forEach(input => {
+                    input.addEventListener('change', () => {
+                        const field = input.dataset.field;
+                        const value = field === 'hardwareType' ? input.value : parseFloat(input.value) || 0;
+                        this.updateRateCard(option.value, field, value);
+                    });
+                });
+                
+                tbody.appendChild(row);
+            });
+    }
+
+    /**
+     * Render the pricing rules panel: rounding, minimum area per window type and size bands
+     */
+    renderPricingRules() {
+        document.getElementById('windowAreaRounding').value = String(this.pricingRules.rounding);
+        
+        // One minimum area input per window type in the form
+        const minimumAreas = document.getElementById('windowMinimumAreas');
+        minimumAreas.innerHTML = '';
+        
+        Array.from(document.getElementById('windowType').options).forEach(option => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            group.innerHTML = `
+                <label>${option.textContent}</label>
+                <input type="number" step="0.1" min="0" value="${this.pricingRules.minimumAreas[option.value] || ''}" placeholder="None">
+            `;
+            
+            group.querySelector('input').addEventListener('change', (e) => {
+                const minimum = parseFloat(e.target.value) || 0;
+                if (minimum > 0) {
+                    this.pricingRules.minimumAreas[option.value] = minimum;
+                } else {
+                    delete this.pricingRules.minimumAreas[option.value];
+                }
+                this.applyPricingRules();
+            });
+            
+            minimumAreas.appendChild(group);
+        });
+        
+        // Size bands
+        const tbody = document.getElementById('windowBandsTable').querySelector('tbody');
+        tbody.innerHTML = '';
+        
+        if (this.pricingRules.bands.length === 0) {
+            const row = document.createElement('tr');
+            row.innerHTML = `<td colspan="3">One rate for all sizes</td>`;
+            tbody.appendChild(row);
+            return;
+        }
+        
+        this.pricingRules.bands.forEach((band, index) => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td>${this.getBandLabel(band)}</td>
+                <td>${band.adjustment > 0 ? '+' : ''}${band.adjustment}%</td>
+                <td>
+                    <button class="delete-btn" title="Delete band">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            `;
+            
+            row.querySelector('.delete-btn').addEventListener('click', () => {
+                this.deletePricingBand(index);
+            });
+            
+            tbody.appendChild(row);
+        });
+    }
+
     /**
      * Create a description of the window configuration
      * @param {number} glassDoorsCount - Number of glass doors
@@ -302,7 +1219,7 @@ class WindowManager {
             return;
         }
         
-        this.windows.forEach(window => {
+        this.windows.forEach((window, index) => {
             const row = document.createElement('tr');
             
             // Create hardware details text
@@ -319,8 +1236,49 @@ class WindowManager {
                 }
             }
             
+            // Inline editor
+            if (window.id === this.editingWindowId) {
+                row.classList.add('editing-row');
+                row.innerHTML = `
+                    <td>${window.windowType}<br><input type="text" class="edit-mark" value="${window.mark || ''}" placeholder="Mark"><input type="text" class="edit-location" value="${window.location || ''}" placeholder="Location"><input type="text" class="edit-description" value="${window.description || ''}" placeholder="Description"></td>
+                    <td>
+                        <input type="text" class="edit-width" value="${window.width}">
+                        <input type="text" class="edit-height" value="${window.height}">
+                        <select class="edit-unit">${this.getUnitOptions(window.unit)}</select>
+                    </td>
+                    <td><input type="number" class="edit-quantity" min="1" value="${window.quantity}"></td>
+                    <td>${window.area} ${window.areaUnit}</td>
+                    <td>${window.configDescription || ''}</td>
+                    <td>${window.hardwareType}</td>
+                    <td><input type="number" class="edit-rate" step="0.01" value="${window.ratePerUnit}"></td>
+                    <td>₹${utils.formatCurrency(window.amount)}</td>
+                    <td>
+                        <button class="save-edit-btn" title="Save">
+                            <i class="fas fa-check"></i>
+                        </button>
+                        <button class="cancel-edit-btn" title="Cancel">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </td>
+                `;
+                
+                row.querySelector('.save-edit-btn').addEventListener('click', () => {
+                    this.saveWindowEdit(window.id, row);
+                });
+                
+                row.querySelector('.cancel-edit-btn').addEventListener('click', () => {
+                    this.cancelWindowEdit();
+                });
+                
+                tbody.appendChild(row);
+                return;
+            }
+            
             row.innerHTML = `
-                <td>${window.windowType}</td>
+                <td>
+                    ${window.mark ? `<strong>${window.mark}</strong> ` : ''}${window.windowType}${window.location ? `<br><small><i class="fas fa-map-marker-alt"></i> ${window.location}</small>` : ''}${window.description ? `<br><small>${window.description}</small>` : ''}
+                    <div class="window-sketch">${this.createElevationSVG(this.getElevationShapes(window))}</div>
+                </td>
                 <td>${window.width}×${window.height} ${window.unit}</td>
                 <td>${window.quantity}</td>
                 <td>${window.area} ${window.areaUnit}</td>
@@ -331,28 +1289,64 @@ class WindowManager {
                     window.configuration.withMesh,
                     window.configuration.topFixed,
                     window.configuration.bottomFixed
-                )}</td>
+                )}${window.bom && window.bom.length > 0 ? `
+                    <details class="window-bom">
+                        <summary>${WINDOW_SYSTEMS[window.system].name}</summary>
+                        <small>${this.formatProfileBOM(window.bom)}</small>
+                    </details>` : ''}</td>
                 <td title="${hardwareDetails}">
-                    ${window.hardwareType}${window.glassType ? '<br><small>' + glassDetails + '</small>' : ''}
+                    ${window.hardwareType}${window.glassType ? '<br><small>' + glassDetails + '</small>' : ''}${window.glazing && window.glazing.length > 0 ? `
+                    <details class="window-bom">
+                        <summary>Glass ${window.glassArea} sq.ft${window.meshArea ? `, Mesh ${window.meshArea} sq.ft` : ''}</summary>
+                        <small>${this.formatGlazing(window.glazing)}</small>
+                    </details>` : ''}
                 </td>
                 <td>
                     <span class="rate-label">₹${utils.formatCurrency(window.ratePerUnit)}/${window.areaUnit}</span>
                     <div class="calc-breakdown">
-                        Area: ${window.area} ${window.areaUnit} × ₹${utils.formatCurrency(window.ratePerUnit)} = ₹${utils.formatCurrency(window.areaAmount)}
+                        ${this.formatChargeableBreakdown(window)}
                         ${window.hardwareCost > 0 ? `\nHardware: ₹${utils.formatCurrency(window.hardwareCost)}` : ''}
+                        ${window.glassAmount > 0 ? `\nGlass (separate): ₹${utils.formatCurrency(window.glassAmount)}` : ''}
+                        ${window.meshAmount > 0 ? `\nMesh (separate): ₹${utils.formatCurrency(window.meshAmount)}` : ''}
                         \nPer window: ₹${utils.formatCurrency(window.windowUnitAmount)}
                         \nTotal (${window.quantity} pcs): ₹${utils.formatCurrency(window.amount)}
                     </div>
                 </td>
                 <td>₹${utils.formatCurrency(window.amount)}</td>
                 <td>
-                    <button class="delete-btn" data-id="${window.id}">
+                    <button class="move-btn" data-direction="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button class="move-btn" data-direction="1" title="Move down" ${index === this.windows.length - 1 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                    <button class="edit-btn" title="Edit">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="duplicate-btn" title="Duplicate">
+                        <i class="fas fa-copy"></i>
+                    </button>
+                    <button class="delete-btn" data-id="${window.id}" title="Delete">
                         <i class="fas fa-trash"></i>
                     </button>
                 </td>
             `;
             
-            // Add delete button event
+            // Add row action events
+            row.querySelectorAll('.move-btn').forEach(button => {
+                button.addEventListener('click', () => {
+                    this.moveWindow(window.id, parseInt(button.dataset.direction));
+                });
+            });
+            
+            row.querySelector('.edit-btn').addEventListener('click', () => {
+                this.editWindow(window.id);
+            });
+            
+            row.querySelector('.duplicate-btn').addEventListener('click', () => {
+                this.duplicateWindow(window.id);
+            });
+            
             row.querySelector('.delete-btn').addEventListener('click', () => {
                 this.deleteWindow(window.id);
             });
@@ -361,6 +1355,106 @@ class WindowManager {
         });
     }
 
+    /**
+     * Build the unit options for an inline unit select
+     * @param {string} selected - The selected unit
+     * @returns {string} - Option elements HTML
+     */
+    getUnitOptions(selected) {
+        return ['mm', 'cm', 'inch', 'ft', 'm']
+            .map(unit => `<option value="${unit}" ${unit === selected ? 'selected' : ''}>${unit}</option>`)
+            .join('');
+    }
+
+    /**
+     * Open a window row for inline editing
+     * @param {string} id - The window ID
+     */
+    editWindow(id) {
+        this.editingWindowId = id;
+        this.renderWindows();
+    }
+
+    /**
+     * Close the inline editor without saving
+     */
+    cancelWindowEdit() {
+        this.editingWindowId = null;
+        this.renderWindows();
+    }
+
+    /**
+     * Save an edited window row and recalculate its area and amount
+     * @param {string} id - The window ID
+     * @param {HTMLElement} row - The table row holding the inputs
+     */
+    saveWindowEdit(id, row) {
+        const unit = row.querySelector('.edit-unit').value;
+        const width = utils.parseLengthInput(row.querySelector('.edit-width').value, unit);
+        const height = utils.parseLengthInput(row.querySelector('.edit-height').value, unit);
+        const quantity = parseInt(row.querySelector('.edit-quantity').value);
+        const ratePerUnit = parseFloat(row.querySelector('.edit-rate').value);
+        const description = row.querySelector('.edit-description').value.trim();
+        const mark = row.querySelector('.edit-mark').value.trim();
+        const location = row.querySelector('.edit-location').value.trim();
+        
+        // Validate inputs
+        if (!width || !height || !quantity || !ratePerUnit || width <= 0 || height <= 0 || quantity <= 0) {
+            utils.showNotification('Please fill all required fields', true);
+            return;
+        }
+        
+        // The fixed light height is kept in the window's unit, so it follows a change of unit
+        this.windows = this.windows.map(window => window.id === id
+            ? this.calculateWindowAmounts({
+                ...window,
+                mark,
+                location,
+                width,
+                height,
+                unit,
+                fixedHeight: window.fixedHeight ? utils.roundToDecimals(utils.convertLength(window.fixedHeight, window.unit, unit), 4) : 0,
+                quantity,
+                ratePerUnit,
+                description
+            })
+            : window);
+        
+        this.editingWindowId = null;
+        this.renderWindows();
+        this.updateTotals();
+    }
+
+    /**
+     * Copy a window row below itself. The copy gets no mark, as a mark names one line of the schedule
+     * @param {string} id - The window ID
+     */
+    duplicateWindow(id) {
+        const index = this.windows.findIndex(window => window.id === id);
+        if (index === -1) return;
+        
+        this.windows.splice(index + 1, 0, { ...this.windows[index], id: utils.generateId(), mark: '' });
+        this.renderWindows();
+        this.updateTotals();
+    }
+
+    /**
+     * Move a window row up or down
+     * @param {string} id - The window ID
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    moveWindow(id, direction) {
+        const index = this.windows.findIndex(window => window.id === id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= this.windows.length) return;
+        
+        const windows = [...this.windows];
+        [windows[index], windows[target]] = [windows[target], windows[index]];
+        this.windows = windows;
+        
+        this.renderWindows();
+    }
+
     /**
      * Update total area and amount
      */
@@ -373,13 +1467,19 @@ class WindowManager {
             return sum + (areaInSqft * window.quantity);
         }, 0);
         
-        this.totalAmount = this.windows.reduce((sum, window) => sum + window.amount, 0);
+        // Glass and mesh priced separately are added to the quotation as their own lines
+        this.glazingAmount = this.windows.reduce((sum, window) => sum + (window.glassAmount || 0) + (window.meshAmount || 0), 0);
+        this.totalAmount = this.windows.reduce((sum, window) => sum + window.amount, 0) + this.glazingAmount;
         
         // Display in UI
         document.getElementById('windowTotalArea').textContent = 
             `${utils.roundToDecimals(this.totalArea, 2)} sq.ft`;
         document.getElementById('windowTotalAmount').textContent = 
             utils.formatCurrency(this.totalAmount);
+        document.getElementById('windowGlazingAmount').textContent = 
+            utils.formatCurrency(this.glazingAmount);
+        
+        this.renderProfileSummary();
     }
 
     /**
@@ -397,14 +1497,20 @@ class WindowManager {
      */
     resetForm() {
         // Reset numeric inputs
+        // The location is kept, as the next window is often in the same room
+        document.getElementById('windowMark').value = '';
         document.getElementById('windowWidth').value = '';
         document.getElementById('windowHeight').value = '';
+        document.getElementById('windowWidthPreview').textContent = '';
+        document.getElementById('windowHeightPreview').textContent = '';
         document.getElementById('windowQuantity').value = '1';
         document.getElementById('windowRatePerUnit').value = '';
+        delete document.getElementById('windowRatePerUnit').dataset.source;
         document.getElementById('glassDoorsCount').value = '0';
         document.getElementById('meshDoorsCount').value = '0';
         document.getElementById('openableDoorsCount').value = '0';
         document.getElementById('hardwareCost').value = '0';
+        document.getElementById('fixedLightHeight').value = '';
         document.getElementById('windowDescription').value = '';
         
         // Reset checkboxes
@@ -412,6 +1518,9 @@ class WindowManager {
         document.getElementById('topFixed').checked = false;
         document.getElementById('bottomFixed').checked = false;
         
+        // Start the next window from the rate card
+        this.applyRateCard();
+        
         // Focus on first field
         document.getElementById('windowWidth').focus();
     }
@@ -425,11 +1534,12 @@ class WindowManager {
             return;
         }
         
-        // Group windows by type
-        const groupedWindows = this.groupWindowsByType();
+        // Group windows by the chosen field, one quotation line per group
+        const groupBy = document.getElementById('windowQuoteGrouping').value;
+        const groupedWindows = this.groupWindows(groupBy);
         
         // Add each window group to quotation
-        Object.entries(groupedWindows).forEach(([windowType, windows]) => {
+        Object.entries(groupedWindows).forEach(([groupName, windows]) => {
             const totalArea = this.calculateGroupArea(windows);
             const totalAmount = windows.reduce((sum, w) => sum + w.amount, 0);
             const totalQuantity = windows.reduce((sum, w) => sum + w.quantity, 0);
@@ -439,6 +1549,8 @@ class WindowManager {
             
             // Create window specifications
             const windowDetails = windows.map(w => ({
+                mark: w.mark || '',
+                location: w.location || '',
                 width: w.width,
                 height: w.height,
                 unit: w.unit,
@@ -447,21 +1559,69 @@ class WindowManager {
                 hardwareCost: w.hardwareCost,
                 glassType: w.glassType,
                 glassThickness: w.glassThickness,
+                glassArea: w.glassArea,
+                meshArea: w.meshArea,
+                glazing: w.glazing || [],
+                elevation: this.getElevationShapes(w),
                 configuration: w.configuration,
-                description: w.description
+                description: w.description,
+                systemName: WINDOW_SYSTEMS[w.system] ? WINDOW_SYSTEMS[w.system].name : '',
+                bom: w.bom || []
             }));
             
+            // Profile cut lengths for the cutting plan, grouped by system profile
+            const requirements = [];
+            windows.forEach(w => {
+                (w.bom || []).forEach(line => {
+                    requirements.push({
+                        size: line.length,
+                        unit: 'mm',
+                        quantity: line.quantity * w.quantity,
+                        itemType: line.name,
+                        material: { type: `${WINDOW_SYSTEMS[w.system].name} ${line.name}` }
+                    });
+                });
+            });
+            
+            // Name the line after its group; mark and location lines also say which types they hold
+            const windowTypes = [...new Set(windows.map(w => w.windowType))].join(' / ');
+            const name = groupName === windowTypes
+                ? `${groupName} Window${totalQuantity > 1 ? 's' : ''}`
+                : `${groupName} - ${windowTypes} Window${totalQuantity > 1 ? 's' : ''}`;
+            
             // Add to quotation
             this.quotationManager.addItem({
                 type: 'Window',
-                name: `${windowType} Window${totalQuantity > 1 ? 's' : ''}`,
+                name,
                 description: `${totalQuantity} pcs, ${totalArea} ${sampleWindow.areaUnit}`,
-                indexedDescription: `${windowType} Windows - ${totalQuantity} pcs`,
+                indexedDescription: `${name} - ${totalQuantity} pcs`,
                 quantity: totalQuantity,
                 unit: 'pcs',
                 amount: totalAmount,
                 details: {
-                    windows: windowDetails
+                    windows: windowDetails,
+                    requirements
+                }
+            });
+        });
+        
+        // Add glass and mesh priced separately, one line per glass and rate
+        this.getGlazingLines().forEach(line => {
+            this.quotationManager.addItem({
+                type: 'Glass',
+                name: line.name,
+                description: `${line.name}, ${line.area} sq.ft`,
+                indexedDescription: line.name,
+                dimensions: line.sizes.join(', '),
+                quantity: line.area,
+                unit: 'sq.ft',
+                rate: line.rate,
+                amount: line.amount,
+                details: {
+                    material: line.material,
+                    glassType: line.glassType,
+                    thickness: line.thickness,
+                    panels: line.sizes
                 }
             });
         });
@@ -470,15 +1630,59 @@ class WindowManager {
     }
 
     /**
-     * Group windows by type
-     * @returns {Object} - Windows grouped by type
+     * Collect the glass and mesh of windows that have a separate rate into quotation lines
+     * @returns {Array} - Lines with name, material, glassType, thickness, area (sq.ft), rate, amount and panel sizes
      */
-    groupWindowsByType() {
+    getGlazingLines() {
+        const lines = {};
+        
+        this.windows.forEach(window => {
+            [['glass', window.glassRate, window.glassArea], ['mesh', window.meshRate, window.meshArea]].forEach(([material, rate, area]) => {
+                if (!rate || !area) return;
+                
+                const name = material === 'glass'
+                    ? `Window Glass - ${window.glassType || 'Glass'}${window.glassThickness ? ` ${window.glassThickness}mm` : ''}`
+                    : 'Window Mesh';
+                const key = `${name}|${rate}`;
+                
+                if (!lines[key]) {
+                    lines[key] = material === 'glass'
+                        ? { name, material, glassType: window.glassType, thickness: window.glassThickness, area: 0, rate, sizes: [] }
+                        : { name, material, area: 0, rate, sizes: [] };
+                }
+                
+                lines[key].area += area * window.quantity;
+                window.glazing
+                    .filter(panel => panel.material === material)
+                    .forEach(panel => lines[key].sizes.push(`${panel.quantity * window.quantity} × ${panel.width}×${panel.height} mm`));
+            });
+        });
+        
+        return Object.values(lines).map(line => {
+            const area = utils.roundToDecimals(line.area, 2);
+            return { ...line, area, amount: area * line.rate };
+        });
+    }
+
+    /**
+     * Group windows by type, mark or location.
+     * Windows without a mark are grouped by their type, and windows without a location together.
+     * @param {string} groupBy - 'type', 'mark' or 'location'
+     * @returns {Object} - Windows grouped by the group name
+     */
+    groupWindows(groupBy = 'type') {
+        const getGroupName = {
+            type: window => window.windowType,
+            mark: window => window.mark || window.windowType,
+            location: window => window.location || 'Other'
+        }[groupBy];
+        
         return this.windows.reduce((groups, window) => {
-            if (!groups[window.windowType]) {
-                groups[window.windowType] = [];
+            const groupName = getGroupName(window);
+            if (!groups[groupName]) {
+                groups[groupName] = [];
             }
-            groups[window.windowType].push(window);
+            groups[groupName].push(window);
             return groups;
         }, {});
     }
@@ -525,7 +1729,8 @@ class WindowManager {
     loadState(state) {
         if (!state) return;
         
-        this.windows = state.windows;
+        // Windows saved before profile systems, glazing or chargeable area are recalculated to get them
+        this.windows = (state.windows || []).map(window => window.glazing && window.chargeableArea !== undefined ? window : this.calculateWindowAmounts(window));
         this.totalArea = state.totalArea;
         this.totalAmount = state.totalAmount;
         
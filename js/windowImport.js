@@ -0,0 +1,486 @@
+/**
+ * Window Schedule Import Module
+ * Imports architects' window schedules (CSV/TSV/XLSX) into the window list with
+ * column mapping and per-row validation
+ */
+
+// Header names recognised when guessing the column of each schedule field
+const WINDOW_IMPORT_FIELDS = {
+    mark: { label: 'Mark', names: ['mark', 'window mark', 'ref', 'reference', 'tag', 'code'] },
+    location: { label: 'Location', names: ['location', 'room', 'floor', 'level', 'elevation', 'space'] },
+    windowType: { label: 'Type', names: ['type', 'window type', 'style'] },
+    width: { label: 'Width', names: ['width', 'w'] },
+    height: { label: 'Height', names: ['height', 'h'] },
+    size: { label: 'Size (W×H)', names: ['size', 'opening size', 'dimensions', 'wxh', 'w x h'] },
+    quantity: { label: 'Quantity', names: ['quantity', 'qty', 'nos', 'no.', 'count'] },
+    rate: { label: 'Rate', names: ['rate', 'price', 'rate per unit'] },
+    description: { label: 'Description', names: ['description', 'remarks', 'notes', 'details'] }
+};
+
+// Words in schedule type text that identify a window type, most specific first
+const WINDOW_IMPORT_TYPE_WORDS = [
+    { pattern: /3[\s-]*track/, type: '3-Track' },
+    { pattern: /2[\s-]*track|sliding/, type: '2-Track' },
+    { pattern: /casement/, type: 'Casement' },
+    { pattern: /openable|hinged|side hung/, type: 'Openable' },
+    { pattern: /vent/, type: 'Vent' },
+    { pattern: /fixed/, type: 'Fixed' }
+];
+
+class WindowImport {
+    constructor() {
+        this.panel = null;
+        this.headers = []; // Column headers of the loaded schedule
+        this.rows = []; // Data rows of the loaded schedule: { rowNumber, values } with the line or row number in the file
+        this.preview = []; // Converted rows with their window fields or errors
+    }
+
+    /**
+     * Initialize the schedule import panel
+     */
+    init() {
+        this.panel = document.getElementById('windowImportPanel');
+        
+        // The default type offers the same types as the window form
+        document.getElementById('windowImportType').innerHTML = document.getElementById('windowType').innerHTML;
+        
+        this.setupEventListeners();
+    }
+
+    /**
+     * Set up event listeners for the schedule import panel
+     */
+    setupEventListeners() {
+        document.getElementById('importWindowScheduleBtn').addEventListener('click', () => {
+            this.showPanel();
+        });
+        
+        document.getElementById('windowImportFile').addEventListener('change', (e) => {
+            if (e.target.files && e.target.files[0]) {
+                this.readFile(e.target.files[0]);
+            }
+        });
+        
+        // Any change to the mapping or defaults refreshes the preview
+        ['windowImportUnit', 'windowImportType'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updatePreview();
+            });
+        });
+        
+        document.getElementById('cancelWindowImportBtn').addEventListener('click', () => {
+            this.hidePanel();
+        });
+        
+        document.getElementById('applyWindowImportBtn').addEventListener('click', () => {
+            this.applyImport();
+        });
+    }
+
+    /**
+     * Show the schedule import panel
+     */
+    showPanel() {
+        this.reset();
+        this.panel.style.display = 'block';
+    }
+
+    /**
+     * Hide the schedule import panel
+     */
+    hidePanel() {
+        this.panel.style.display = 'none';
+        this.reset();
+    }
+
+    /**
+     * Clear the loaded schedule and the panel fields
+     */
+    reset() {
+        this.headers = [];
+        this.rows = [];
+        this.preview = [];
+        
+        document.getElementById('windowImportFile').value = '';
+        document.getElementById('windowImportMapping').innerHTML = '';
+        document.getElementById('windowImportSummary').textContent = 'Choose a CSV, TSV or XLSX schedule to import.';
+        document.getElementById('windowImportPreviewTable').querySelector('tbody').innerHTML = '';
+        document.getElementById('applyWindowImportBtn').disabled = true;
+    }
+
+    /**
+     * Read a schedule file and build the column mapping
+     * @param {File} file - The file to read
+     */
+    readFile(file) {
+        const isWorkbook = /\.xlsx?$/i.test(file.name);
+        
+        if (isWorkbook && typeof XLSX === 'undefined') {
+            utils.showNotification('The spreadsheet reader is not loaded. Save the schedule as CSV and try again', true);
+            return;
+        }
+        
+        const reader = new FileReader();
+        
+        reader.onload = (event) => {
+            const lines = isWorkbook
+                ? this.readWorkbook(event.target.result)
+                : this.readDelimited(event.target.result);
+            
+            if (lines.length < 2) {
+                utils.showNotification('The schedule has no data rows', true);
+                return;
+            }
+            
+            this.headers = lines[0].values;
+            this.rows = lines.slice(1);
+            
+            this.renderMapping();
+            this.updatePreview();
+        };
+        
+        reader.onerror = () => {
+            utils.showNotification('Failed to read the file', true);
+        };
+        
+        if (isWorkbook) {
+            reader.readAsArrayBuffer(file);
+        } else {
+            reader.readAsText(file);
+        }
+    }
+
+    /**
+     * Split delimited text into rows of values, using the catalogue import's parsing
+     * @param {string} text - The file text
+     * @returns {Array} - Rows with their line number in the file and trimmed values, blank lines skipped
+     */
+    readDelimited(text) {
+        // Number the lines before dropping blank ones, so errors point at the right line
+        const lines = text.split(/\r?\n/)
+            .map((line, index) => ({ rowNumber: index + 1, line }))
+            .filter(({ line }) => line.trim());
+        if (lines.length === 0) return [];
+        
+        const delimiter = window.materialImport.detectDelimiter(lines[0].line);
+        return lines.map(({ rowNumber, line }) => ({
+            rowNumber,
+            values: window.materialImport.splitLine(line, delimiter)
+        }));
+    }
+
+    /**
+     * Read the first sheet of a workbook into rows of values
+     * @param {ArrayBuffer} data - The file contents
+     * @returns {Array} - Rows with their row number in the sheet and trimmed values, blank rows skipped
+     */
+    readWorkbook(data) {
+        const workbook = XLSX.read(data, { type: 'array' });
+        const sheet = workbook.Sheets[workbook.SheetNames[0]];
+        if (!sheet['!ref']) return [];
+        
+        // The used range may start below row 1; blank rows are kept until numbered
+        const firstRow = XLSX.utils.decode_range(sheet['!ref']).s.r + 1;
+        
+        // Formatted text keeps sizes such as 4'6" as they were typed
+        return XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: '', blankrows: true })
+            .map((row, index) => ({ rowNumber: firstRow + index, values: row.map(value => String(value).trim()) }))
+            .filter(row => row.values.some(value => value));
+    }
+
+    /**
+     * Guess which column holds a field from the header names
+     * @param {string} field - The field key
+     * @returns {number} - The column index, or -1 if none matches
+     */
+    guessColumn(field) {
+        const headers = this.headers.map(header => header.toLowerCase());
+        const names = WINDOW_IMPORT_FIELDS[field].names;
+        
+        // Prefer an exact header name, then a header starting with one of the names
+        const exact = headers.findIndex(header => names.includes(header));
+        if (exact !== -1) return exact;
+        
+        return headers.findIndex(header => names.some(name => name.length > 1 && header.startsWith(name)));
+    }
+
+    /**
+     * Render a column select for each field
+     */
+    renderMapping() {
+        const container = document.getElementById('windowImportMapping');
+        container.innerHTML = '';
+        
+        Object.entries(WINDOW_IMPORT_FIELDS).forEach(([field, config]) => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+            
+            const options = this.headers
+                .map((header, index) => `<option value="${index}">${utils.escapeHtml(header || `Column ${index + 1}`)}</option>`)
+                .join('');
+            
+            group.innerHTML = `
+                <label for="windowImportMap-${field}">${config.label}</label>
+                <select id="windowImportMap-${field}" data-field="${field}">
+                    <option value="-1">- Not in file -</option>
+                    ${options}
+                </select>
+            `;
+            
+            const select = group.querySelector('select');
+            select.value = this.guessColumn(field);
+            select.addEventListener('change', () => {
+                this.updatePreview();
+            });
+            
+            container.appendChild(group);
+        });
+    }
+
+    /**
+     * Get the column chosen for each field
+     * @returns {Object} - Column index by field, -1 for unmapped fields
+     */
+    getMapping() {
+        const mapping = {};
+        
+        Object.keys(WINDOW_IMPORT_FIELDS).forEach(field => {
+            const select = document.getElementById(`windowImportMap-${field}`);
+            mapping[field] = select ? parseInt(select.value) : -1;
+        });
+        
+        return mapping;
+    }
+
+    /**
+     * Recognise a window type in schedule text such as "3 Track Sliding" or "Top Hung Vent"
+     * @param {string} text - The type text from the file
+     * @returns {string|null} - The window type or null if none is recognised
+     */
+    parseWindowType(text) {
+        const lower = text.toLowerCase();
+        const options = Array.from(document.getElementById('windowType').options);
+        
+        // An exact type or type name, then the words that identify a type
+        const option = options.find(o => o.value.toLowerCase() === lower || o.textContent.toLowerCase() === lower);
+        if (option) return option.value;
+        
+        const match = WINDOW_IMPORT_TYPE_WORDS.find(word => word.pattern.test(lower));
+        return match ? match.type : null;
+    }
+
+    /**
+     * Convert a schedule row into window fields. Sizes, type, quantity and rate come from the row;
+     * hardware from the rate card of the type; the area unit, glass and profile system from the window form.
+     * @param {Array} values - The row values
+     * @param {Object} mapping - Column index by field
+     * @param {Object} defaults - The window form values imported windows start from
+     * @returns {Object} - Object with the window fields, or the errors that stop the row importing
+     */
+    convertRow(values, mapping, defaults) {
+        const unit = document.getElementById('windowImportUnit').value;
+        const manager = window.windowManager;
+        const errors = [];
+        
+        const read = field => (mapping[field] === -1 ? '' : String(values[mapping[field]] || '').trim());
+        
+        const mark = read('mark');
+        const location = read('location');
+        
+        // Type
+        let windowType = document.getElementById('windowImportType').value;
+        if (read('windowType')) {
+            windowType = this.parseWindowType(read('windowType'));
+            if (!windowType) {
+                errors.push(`Unknown type "${read('windowType')}"`);
+            }
+        }
+        
+        // Sizes, from width and height columns or a single "1200 x 1500" column
+        let widthText = read('width');
+        let heightText = read('height');
+        if ((!widthText || !heightText) && read('size')) {
+            [widthText = '', heightText = ''] = read('size').split(/\s*[x×*]\s*/i);
+        }
+        
+        const width = utils.parseLengthInput(widthText, unit);
+        const height = utils.parseLengthInput(heightText, unit);
+        if (!width) errors.push(widthText ? `Width "${widthText}" is not a size` : 'No width');
+        if (!height) errors.push(heightText ? `Height "${heightText}" is not a size` : 'No height');
+        
+        // Quantity, one if the schedule has no quantity column
+        const quantityText = read('quantity');
+        const quantity = quantityText ? Number(quantityText) : 1;
+        if (!Number.isInteger(quantity) || quantity < 1) {
+            errors.push(`Quantity "${quantityText}" is not a whole number`);
+        }
+        
+        // Rate from the row, the rate card of the type or the form, in that order
+        const rateText = read('rate').replace(/[₹,]/g, '');
+        const ratePerUnit = rateText
+            ? parseFloat(rateText)
+            : (windowType && manager.getRateCardRate(windowType, defaults.areaUnit)) || defaults.ratePerUnit;
+        if (!(ratePerUnit > 0)) {
+            errors.push(rateText ? `Rate "${read('rate')}" is not a number` : 'No rate in the row, rate card or form');
+        }
+        
+        if (errors.length > 0) {
+            return { errors };
+        }
+        
+        // Hardware of the type's rate card, or of the form for types without a card
+        const card = manager.rateCards[windowType] ? manager.getRateCard(windowType) : null;
+        const hardwareType = card ? card.hardwareType : defaults.hardwareType;
+        const hardwareCost = card && card.hardwareCosts[hardwareType] !== undefined
+            ? card.hardwareCosts[hardwareType]
+            : defaults.hardwareCost;
+        
+        return {
+            errors,
+            fields: {
+                ...defaults,
+                mark,
+                location,
+                windowType,
+                width,
+                height,
+                unit,
+                quantity,
+                ratePerUnit,
+                hardwareType,
+                hardwareCost,
+                description: read('description')
+            }
+        };
+    }
+
+    /**
+     * Read the window form values that imported windows start from.
+     * Door configuration is left at zero so each type gets its usual layout.
+     * @returns {Object} - Window fields other than the ones read from the schedule
+     */
+    getFormDefaults() {
+        return {
+            areaUnit: document.getElementById('windowAreaUnit').value,
+            ratePerUnit: parseFloat(document.getElementById('windowRatePerUnit').value) || 0,
+            hardwareType: document.getElementById('hardwareType').value,
+            hardwareCost: parseFloat(document.getElementById('hardwareCost').value) || 0,
+            glassType: document.getElementById('windowGlassType').value || '',
+            glassThickness: parseFloat(document.getElementById('windowGlassThickness').value) || 0,
+            glassRate: parseFloat(document.getElementById('windowGlassRate').value) || 0,
+            meshRate: parseFloat(document.getElementById('windowMeshRate').value) || 0,
+            fixedHeight: 0,
+            system: document.getElementById('windowSystem').value,
+            configuration: {
+                glassDoorsCount: 0,
+                meshDoorsCount: 0,
+                openableDoorsCount: 0,
+                withMesh: false,
+                topFixed: false,
+                bottomFixed: false
+            }
+        };
+    }
+
+    /**
+     * Convert all rows and check them
+     */
+    updatePreview() {
+        if (this.rows.length === 0) return;
+        
+        const mapping = this.getMapping();
+        const defaults = this.getFormDefaults();
+        const marks = new Set();
+        const listedMarks = new Set(window.windowManager.windows
+            .filter(w => w.mark)
+            .map(w => w.mark.toLowerCase()));
+        
+        this.preview = this.rows.map(({ rowNumber, values }) => {
+            const row = { rowNumber, values, ...this.convertRow(values, mapping, defaults) };
+            
+            // A mark names one line of the schedule, in the file and in the window list
+            if (row.fields && row.fields.mark) {
+                if (marks.has(row.fields.mark.toLowerCase())) {
+                    row.errors.push(`Mark ${row.fields.mark} is repeated`);
+                    delete row.fields;
+                } else if (listedMarks.has(row.fields.mark.toLowerCase())) {
+                    row.errors.push(`Mark ${row.fields.mark} is already in the window list`);
+                    delete row.fields;
+                } else {
+                    marks.add(row.fields.mark.toLowerCase());
+                }
+            }
+            
+            return row;
+        });
+        
+        this.renderPreview();
+    }
+
+    /**
+     * Render the preview table and summary
+     */
+    renderPreview() {
+        const tbody = document.getElementById('windowImportPreviewTable').querySelector('tbody');
+        tbody.innerHTML = '';
+        
+        const valid = this.preview.filter(row => row.fields);
+        const invalid = this.preview.length - valid.length;
+        
+        document.getElementById('windowImportSummary').textContent =
+            `${this.preview.length} rows: ${valid.length} ready to add` +
+            (invalid ? `, ${invalid} with errors` : '');
+        
+        // Rows with errors first, as they need attention
+        [...this.preview]
+            .sort((a, b) => (a.fields ? 1 : 0) - (b.fields ? 1 : 0))
+            .forEach(row => {
+                const tr = document.createElement('tr');
+                tr.className = row.fields ? 'import-new' : 'import-invalid';
+                
+                if (row.fields) {
+                    const w = row.fields;
+                    tr.innerHTML = `
+                        <td>${row.rowNumber}</td>
+                        <td>${utils.escapeHtml(w.mark || '-')}${w.location ? `<br><small>${utils.escapeHtml(w.location)}</small>` : ''}</td>
+                        <td>${w.windowType}</td>
+                        <td>${w.width} × ${w.height} ${w.unit}</td>
+                        <td>${w.quantity}</td>
+                        <td>₹${utils.formatCurrency(w.ratePerUnit)}/${w.areaUnit}</td>
+                        <td>Ready</td>
+                    `;
+                } else {
+                    tr.innerHTML = `
+                        <td>${row.rowNumber}</td>
+                        <td colspan="5">${utils.escapeHtml(row.values.join(' | '))}</td>
+                        <td>${utils.escapeHtml(row.errors.join('; '))}</td>
+                    `;
+                }
+                
+                tbody.appendChild(tr);
+            });
+        
+        document.getElementById('applyWindowImportBtn').disabled = valid.length === 0;
+    }
+
+    /**
+     * Add the valid rows to the window list
+     */
+    applyImport() {
+        const fieldsList = this.preview.filter(row => row.fields).map(row => row.fields);
+        
+        if (fieldsList.length === 0) {
+            utils.showNotification('No valid rows to import', true);
+            return;
+        }
+        
+        const skipped = this.preview.length - fieldsList.length;
+        const count = window.windowManager.addWindows(fieldsList);
+        
+        this.hidePanel();
+        utils.showNotification(`Added ${count} windows${skipped ? `, skipped ${skipped} rows with errors` : ''}`);
+    }
+}
+
+// Create global instance of the window schedule import
+window.windowImport = new WindowImport();